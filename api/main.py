@@ -50,10 +50,18 @@ class Evaluation(BaseModel):
     id: str
     created_at: str
     updated_at: str
+    format_version: Optional[str] = None
+    schema_version: Optional[str] = None
     person_name: Optional[str] = None
     person_age: Optional[int] = None
     person_sex: Optional[str] = None
+    person_height: Optional[float] = None
+    reference_set: Optional[str] = None
+    physiological_state: Dict[str, str] = {}
+    baselines: Dict[str, Any] = {}
     measurements: Dict[str, Any] = {}
+    retired_measurements: Dict[str, Any] = {}
+    migration_history: List[Dict[str, Any]] = []
     notes: Optional[str] = None
 
 
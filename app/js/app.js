@@ -2,15 +2,26 @@
  * Health Evaluation App
  * 
  * Main entry point. Renders the form and handles interactions.
- * Supports two modes: Entry (for data input) and Review (for observation).
+ * Supports two modes: Entry (for data input) and Review (for observation),
+ * plus Ranges, where the clinic edits its reference range overrides.
  */
 
-import { BRANCHES, SCALE_DEFINITIONS } from './schema.js';
-import { getReferenceStatus, getRangeDisplayText } from './references.js';
+import { BRANCHES, BASELINES, PHYSIOLOGICAL_STATES, SCALE_DEFINITIONS, MEASUREMENT_CONTEXTS, getMetricById, loadSchema, loadSchemaExtension } from './schema.js';
+import { getReferenceStatus, getRangeDisplayText, formatCitation, REFERENCE_SETS, DEFAULT_REFERENCE_SET } from './references.js';
 import { 
   createEvaluation, 
   updatePerson, 
-  setMeasurement,
+  setReferenceSet,
+  setReadings,
+  setAggregation,
+  setMeasurementContext,
+  setMeasurementUnit,
+  setEntryMode,
+  setBaseline,
+  setPhysiologicalState,
+  setPlausibilityOverride,
+  findHistoricalBaselines,
+  AGGREGATIONS,
   updateNotes,
   buildHealthState,
   saveEvaluation, 
@@ -21,9 +32,25 @@ import {
   downloadEvaluation,
   importEvaluationJSON,
   isEvaluationValid,
-  formatMetricValue
+  formatMetricValue,
+  formatOriginalValue,
+  formatDerivedInputs,
+  formatDeviation,
+  formatBaseline,
+  formatBaselineSource,
+  formatSexRanges,
+  formatReferenceModifier,
+  acknowledgeMigrationNotices,
+  loadClinicRanges,
+  getWeightedShare,
+  formatDriver,
+  formatConfidence
 } from './state.js';
-import { openReportWindow } from './report.js';
+import { toCanonical } from './units.js';
+import { validateReferenceTables, checkPlausibility, isOverridden } from './validation.js';
+import { openReportWindow, loadReportRules } from './report.js';
+import { renderRangeEditor } from './range-editor.js';
+import { SYSTEM_STATES } from './system-states.js';
 
 // ============================================
 // Application State
@@ -31,7 +58,7 @@ import { openReportWindow } from './report.js';
 
 let evaluation = null;
 let healthState = null;
-let currentMode = 'entry'; // 'entry' or 'review'
+let currentMode = 'entry'; // 'entry', 'review' or 'ranges'
 
 // ============================================
 // Status Display Config
@@ -46,10 +73,23 @@ const STATUS_CONFIG = {
   not_entered: { icon: "·", label: "", className: "status-empty" }
 };
 
+const DEVIATION_ARROWS = { low: "↓", high: "↑" };
+
 function getStatusDisplay(status) {
   return STATUS_CONFIG[status] || STATUS_CONFIG.not_entered;
 }
 
+/**
+ * Status icon + label for a metric, showing which side of the range it's on
+ */
+function getMetricStatusHTML(metricState) {
+  const statusInfo = getStatusDisplay(metricState.reference_status);
+  const arrow = DEVIATION_ARROWS[metricState.deviation] || '';
+  const label = formatDeviation(metricState) || statusInfo.label;
+  const title = metricState.reference_gap ? ` title="${metricState.reference_gap}"` : '';
+  return `<span class="status-icon"${title}>${statusInfo.icon}${arrow}</span><span class="status-label"${title}>${label}</span>`;
+}
+
 // ============================================
 // Mode Switching
 // ============================================
@@ -76,6 +116,11 @@ function render() {
   
   if (currentMode === 'entry') {
     renderEntryMode();
+  } else if (currentMode === 'ranges') {
+    renderRangeEditor(document.getElementById('systems-container'), {
+      referenceSet: evaluation.reference_set,
+      onSave: handleClinicRangesSaved
+    });
   } else {
     renderReviewMode();
   }
@@ -112,7 +157,7 @@ function createEntrySystemSection(systemState) {
   header.innerHTML = `
     <h2>${systemState.branch_name}</h2>
     <div class="system-header-right">
-      <span class="completion-badge ${completenessClass}">${completeness}%</span>
+      <span class="completion-badge ${completenessClass}" title="${getWeightedCompletenessTitle(systemState.summary)}">${completeness}%</span>
       <span class="toggle-icon">▼</span>
     </div>
   `;
@@ -162,12 +207,14 @@ function createEntryMetricRow(metricState) {
   const row = document.createElement('div');
   row.className = 'metric-row';
   row.dataset.metricId = metricState.metric_id;
+  row.dataset.derived = metricState.derived;
+  if (metricState.derived) row.classList.add('derived');
   
-  const rangeHint = metricState.optimal_range || '';
+  const rangeHint = getRangeHintText(metricState);
   const statusInfo = getStatusDisplay(metricState.reference_status);
   
   // Build rich tooltip with protocol + what it measures + fidelity
-  const fidelityMeaning = SCALE_DEFINITIONS.metric_fidelity.meaning[metricState.fidelity] || '';
+  const fidelityMeaning = SCALE_DEFINITIONS.metric_fidelity_to_observable.meaning[metricState.fidelity] || '';
   let tooltipParts = [];
   if (metricState.measurement_method) {
     tooltipParts.push(`How to measure: ${metricState.measurement_method}`);
@@ -178,75 +225,305 @@ function createEntryMetricRow(metricState) {
   if (fidelityMeaning) {
     tooltipParts.push(`Reliability: ${fidelityMeaning} (${metricState.fidelity}/5)`);
   }
+  if (metricState.citation) {
+    tooltipParts.push(`Range source: ${formatCitation(metricState.citation)}`);
+  }
   const tooltip = tooltipParts.join(' • ');
   
   // Only show info icon if there's tooltip content
   const infoIcon = tooltip ? `<span class="metric-info-icon" title="${tooltip}">ⓘ</span>` : '';
   
+  // Numeric metrics take one or more readings; other types pick from their options
+  const isNumeric = metricState.type === 'numeric';
+  let readingsHTML;
+  if (metricState.derived) {
+    // Computed from other entries; recomputed when those change
+    readingsHTML = `<input type="number" value="${formatMetricValue(metricState)}" readonly tabindex="-1">`;
+  } else if (isNumeric) {
+    // Always offer at least one reading input
+    const readings = metricState.readings.length > 0 ? metricState.readings : [null];
+    readingsHTML = readings.map(r => createReadingInputHTML(metricState, r)).join('');
+  } else {
+    readingsHTML = createOptionSelectHTML(metricState);
+  }
+  
   row.innerHTML = `
     <div class="metric-info">
-      <span class="metric-name">${metricState.metric_name}${infoIcon}</span>
+      <span class="metric-name">${metricState.metric_name}${infoIcon}${getDerivedTagHTML(metricState)}</span>
       <span class="metric-protocol">${rangeHint}</span>
+      <span class="metric-aggregate">${getAggregateSummaryHTML(metricState)}${getBaselineSummaryHTML(metricState)}${getSexRangesTagHTML(metricState)}</span>
+      <span class="metric-plausibility"></span>
     </div>
     <div class="metric-input">
-      <input type="number" step="any" placeholder="—" 
-             data-metric-id="${metricState.metric_id}"
-             data-unit="${metricState.unit}"
-             value="${metricState.value !== null ? metricState.value : ''}">
-      <span class="metric-unit">${metricState.unit}</span>
+      ${getContextSelectHTML(metricState)}
+      <div class="metric-readings">${readingsHTML}</div>
+      ${isNumeric && !metricState.derived ? '<button type="button" class="btn-add-reading" title="Add another reading">+</button>' : ''}
+      ${getUnitHTML(metricState)}
     </div>
     <span class="metric-status ${statusInfo.className}">
-      <span class="status-icon">${statusInfo.icon}</span>
-      <span class="status-label">${statusInfo.label}</span>
+      ${getMetricStatusHTML(metricState)}
     </span>
   `;
   
-  const input = row.querySelector('input');
-  input.addEventListener('input', (e) => {
-    const value = parseFloat(e.target.value);
-    
-    // Check plausibility and show warning
-    const warning = checkPlausibility(metricState.metric_id, value, metricState.unit);
-    if (warning) {
-      input.classList.add('input-warning');
-      input.title = warning;
-    } else {
-      input.classList.remove('input-warning');
-      input.title = '';
-    }
+  if (metricState.derived) return row;
+  if (isNumeric) checkRowPlausibility(row);
+  
+  const readingsEl = row.querySelector('.metric-readings');
+  readingsEl.addEventListener('input', () => {
+    // Impossible readings aren't saved; unusual ones are, unconfirmed until kept with a reason
+    if (isNumeric && checkRowPlausibility(row).some(p => p.level === 'hard')) return;
     
-    handleMetricInput(metricState.metric_id, e.target.value);
+    handleMetricInput(metricState.metric_id, ...readRowInput(row));
+  });
+  
+  // Ask for the reason once an unusual reading has been typed in full
+  readingsEl.addEventListener('change', (e) => {
+    if (e.target.matches('.reading-value') && checkRowPlausibility(row).length > 0) handleKeepValues(row);
+  });
+  
+  row.querySelector('.metric-plausibility').addEventListener('click', (e) => {
+    if (e.target.matches('.btn-keep-value')) handleKeepValues(row);
+  });
+  
+  row.querySelector('.unit-select')?.addEventListener('change', (e) => {
+    handleUnitChange(metricState.metric_id, e.target.value);
+  });
+  
+  row.querySelector('.context-select')?.addEventListener('change', (e) => {
+    handleContextChange(metricState.metric_id, e.target.value || null);
+  });
+  
+  row.querySelector('.entry-mode-select')?.addEventListener('change', (e) => {
+    handleEntryModeChange(metricState.metric_id, e.target.value || null);
+  });
+  
+  row.querySelector('.btn-add-reading')?.addEventListener('click', () => {
+    readingsEl.insertAdjacentHTML('beforeend', createReadingInputHTML(metricState, null));
+    readingsEl.lastElementChild.querySelector('.reading-value').focus();
+  });
+  
+  row.querySelector('.metric-aggregate').addEventListener('change', (e) => {
+    if (!e.target.matches('.aggregation-select')) return;
+    handleAggregationChange(metricState.metric_id, e.target.value);
   });
   
   return row;
 }
 
-// Plausibility ranges for common metrics
-const PLAUSIBILITY_RANGES = {
-  bp_resting_systolic: { min: 60, max: 250, warn: 'Blood pressure outside plausible range (60-250)' },
-  bp_resting_diastolic: { min: 30, max: 150, warn: 'Blood pressure outside plausible range (30-150)' },
-  hr_resting: { min: 30, max: 200, warn: 'Heart rate outside plausible range (30-200)' },
-  apob: { min: 20, max: 300, warn: 'ApoB outside plausible range (20-300)' },
-  ldl_c: { min: 20, max: 400, warn: 'LDL-C outside plausible range (20-400)' },
-  hdl_c: { min: 10, max: 150, warn: 'HDL-C outside plausible range (10-150)' },
-  triglycerides: { min: 20, max: 1000, warn: 'Triglycerides outside plausible range' },
-  fasting_glucose: { min: 30, max: 500, warn: 'Glucose outside plausible range' },
-  hba1c: { min: 3, max: 15, warn: 'HbA1c outside plausible range (3-15%)' },
-  body_fat_pct: { min: 3, max: 60, warn: 'Body fat % outside plausible range (3-60)' },
-  bmi_calculated: { min: 12, max: 60, warn: 'BMI outside plausible range (12-60)' },
-  grip_strength: { min: 5, max: 100, warn: 'Grip strength outside plausible range' },
-};
+/**
+ * A reading's value and the date it was measured (today for a new one)
+ */
+function createReadingInputHTML(metricState, reading) {
+  const today = new Date().toISOString().split('T')[0];
+  return `
+    <span class="metric-reading">
+      <input type="number" step="any" placeholder="—" class="reading-value"
+             data-metric-id="${metricState.metric_id}"
+             data-unit="${metricState.unit}"
+             value="${reading?.value ?? ''}">
+      <input type="date" class="reading-date" title="Date measured" max="${today}"
+             value="${reading?.measured_at?.split('T')[0] || today}">
+    </span>
+  `;
+}
 
-function checkPlausibility(metricId, value, unit) {
-  if (isNaN(value) || value === null) return null;
+function createOptionSelectHTML(metricState) {
+  const options = metricState.options.map(opt => 
+    `<option value="${opt.value}" ${opt.value === metricState.value ? 'selected' : ''}>${opt.label}</option>`
+  ).join('');
+  
+  return `
+    <select class="metric-option-select" data-metric-id="${metricState.metric_id}">
+      <option value="">—</option>
+      ${options}
+    </select>
+  `;
+}
+
+/**
+ * Unit label, or a unit picker for analytes with alternative units
+ */
+function getUnitHTML(metricState) {
+  if (metricState.type === 'categorical' || metricState.type === 'boolean') {
+    return '<span class="metric-unit"></span>';
+  }
+  if (metricState.baseline_entry) {
+    return getEntryModeSelectHTML(metricState);
+  }
+  if (metricState.units.length < 2) {
+    return `<span class="metric-unit">${metricState.unit}</span>`;
+  }
   
-  const range = PLAUSIBILITY_RANGES[metricId];
-  if (!range) return null;
+  const selected = metricState.original_unit || metricState.unit;
+  const options = metricState.units.map(u => 
+    `<option value="${u}" ${u === selected ? 'selected' : ''}>${u}</option>`
+  ).join('');
+  return `<select class="metric-unit unit-select" title="Unit of the entered value">${options}</select>`;
+}
+
+/**
+ * Picker for baseline metrics: enter the change, or the raw value to
+ * compare with the person's baseline
+ */
+function getEntryModeSelectHTML(metricState) {
+  const b = metricState.baseline_entry;
+  return `
+    <select class="metric-unit entry-mode-select" title="Enter the change, or the raw value to compare with the ${b.name} baseline">
+      <option value="">${metricState.unit}</option>
+      <option value="raw" ${metricState.entered_as === 'raw' ? 'selected' : ''}>${b.unit} raw</option>
+    </select>
+  `;
+}
+
+/**
+ * "derived" tag for computed metrics, with the inputs used in its tooltip
+ * Metrics that can be derived but lack inputs get a hint instead
+ */
+function getDerivedTagHTML(metricState) {
+  if (!metricState.derivation) return '';
   
-  if (value < range.min || value > range.max) {
-    return range.warn;
+  if (!metricState.derived) {
+    return ` <span class="derived-tag pending" title="Calculated automatically once entered: ${metricState.derivation}">auto</span>`;
   }
-  return null;
+  
+  return ` <span class="derived-tag" title="${metricState.derivation} (${formatDerivedInputs(metricState)})">derived</span>`;
+}
+
+/**
+ * Context picker, only for metrics whose schema lists contexts
+ */
+function getContextSelectHTML(metricState) {
+  if (metricState.contexts.length === 0) return '';
+  
+  const options = metricState.contexts.map(ctx => 
+    `<option value="${ctx}" ${ctx === metricState.context ? 'selected' : ''}>${MEASUREMENT_CONTEXTS[ctx] || ctx}</option>`
+  ).join('');
+  
+  return `
+    <select class="context-select" title="Measurement context">
+      <option value="">Context</option>
+      ${options}
+    </select>
+  `;
+}
+
+/**
+ * Aggregation picker + result, only shown once there are several readings
+ */
+function getAggregateSummaryHTML(metricState) {
+  if (metricState.readings.length < 2) return '';
+  
+  const options = Object.entries(AGGREGATIONS).map(([key, agg]) => 
+    `<option value="${key}" ${key === metricState.aggregation ? 'selected' : ''}>${agg.label}</option>`
+  ).join('');
+  
+  const original = formatOriginalValue(metricState);
+  const result = original 
+    ? `${original} (${formatMetricValue(metricState)} ${metricState.unit})` 
+    : formatMetricValue(metricState);
+  
+  return `
+    <select class="aggregation-select" title="How readings are combined">${options}</select>
+    of ${metricState.readings.length} readings → ${result}
+  `;
+}
+
+/**
+ * Optimal range under the metric name, noting a physiological state it's adjusted for
+ */
+function getRangeHintText(metricState) {
+  const modifier = formatReferenceModifier(metricState);
+  if (!metricState.optimal_range) return '';
+  return modifier ? `${metricState.optimal_range} (${modifier.toLowerCase()})` : metricState.optimal_range;
+}
+
+/**
+ * Raw value against the person's baseline, for baseline metrics entered raw
+ */
+function getBaselineSummaryHTML(metricState) {
+  const text = formatBaseline(metricState);
+  if (!text) return '';
+  return `<span class="baseline-summary" title="Baseline: ${formatBaselineSource(metricState.baseline)}">${text}</span>`;
+}
+
+/**
+ * Readings, their dates, context, unit and entry mode as currently set in an entry row
+ */
+function readRowInput(row) {
+  const values = [...row.querySelectorAll('.metric-readings .reading-value, .metric-readings select')].map(el => el.value);
+  return [values, {
+    dates: [...row.querySelectorAll('.metric-readings .reading-date')].map(el => el.value || null),
+    context: row.querySelector('.context-select')?.value || null,
+    unit: row.querySelector('.unit-select')?.value || null,
+    enteredAs: row.querySelector('.entry-mode-select')?.value || null
+  }];
+}
+
+/**
+ * Check an entry row's readings against the metric's plausibility limits
+ * Marks each input and shows the first problem under the metric name, with
+ * a button to confirm unusual values. Returns the problems not yet
+ * overridden as { level, message, value }.
+ */
+function checkRowPlausibility(row) {
+  const metricId = row.dataset.metricId;
+  const metric = getMetricById(metricId);
+  const [, { unit, enteredAs }] = readRowInput(row);
+  const measurement = evaluation.measurements[metricId];
+  
+  const problems = [];
+  row.querySelectorAll('.metric-readings .reading-value').forEach(input => {
+    const value = parseFloat(input.value);
+    const canonical = metric.analyte ? toCanonical(metric.analyte, value, unit) : value;
+    const problem = checkPlausibility(metric, canonical, { enteredAs });
+    const overridden = problem?.level === 'soft' && isOverridden(measurement, canonical);
+    
+    input.classList.toggle('input-error', problem?.level === 'hard');
+    input.classList.toggle('input-warning', problem?.level === 'soft' && !overridden);
+    input.classList.toggle('input-overridden', overridden);
+    input.title = overridden ? `Kept: ${measurement.plausibility_override.reason}` : problem?.message || '';
+    if (problem && !overridden) problems.push({ ...problem, value: canonical });
+  });
+  
+  const hard = problems.find(p => p.level === 'hard');
+  const message = row.querySelector('.metric-plausibility');
+  message.className = `metric-plausibility${problems.length > 0 ? ` ${hard ? 'hard' : 'soft'}` : ''}`;
+  message.innerHTML = hard ? `${hard.message} — not saved`
+    : problems.length > 0 ? `${problems[0].message} — saved, unconfirmed <button type="button" class="btn btn-text btn-keep-value">Give reason…</button>`
+    : '';
+  
+  return problems;
+}
+
+/**
+ * Whether a row's readings, under its current pickers, can't be saved
+ */
+function hasUnsavedPlausibilityProblems(metricId) {
+  const row = document.querySelector(`.metric-row[data-metric-id="${metricId}"]`);
+  return Boolean(row) && checkRowPlausibility(row).some(p => p.level === 'hard');
+}
+
+/**
+ * Confirm unusual readings once the doctor gives a reason for keeping them
+ */
+function handleKeepValues(row) {
+  const problems = checkRowPlausibility(row);
+  if (problems.length === 0 || problems.some(p => p.level === 'hard')) return;
+  
+  const reason = prompt(`${problems.map(p => p.message).join('\n')}\n\nReason for keeping ${problems.length === 1 ? 'this value' : 'these values'}:`);
+  if (!reason || !reason.trim()) return;
+  
+  const metricId = row.dataset.metricId;
+  const [values, options] = readRowInput(row);
+  evaluation = setReadings(evaluation, metricId, values, options);
+  evaluation = setPlausibilityOverride(evaluation, metricId, reason.trim(), problems.map(p => p.value));
+  
+  healthState = buildHealthState(evaluation);
+  updateMetricDisplay(metricId);
+  refreshDerivedRows();
+  updateCompletionBadges();
+  renderSummary();
+  triggerAutoSave();
 }
 
 // ============================================
@@ -288,7 +565,7 @@ function createFoundationsOverview() {
           <span class="stat-acceptable">${s.acceptable}</span>
           <span class="stat-concerning">${s.concerning + s.outside}</span>
         </div>
-        <div class="foundation-completeness">${s.completeness}% observed</div>
+        <div class="foundation-completeness">${SYSTEM_STATES[systemState.state] ? `${SYSTEM_STATES[systemState.state].label} · ` : ''}${s.completeness}% observed (${s.weighted.completeness}% by weight)${getConfidenceHTML(s.confidence)}</div>
       </div>
     `;
   }
@@ -297,6 +574,7 @@ function createFoundationsOverview() {
     <h2 class="foundations-title">Foundations of Health</h2>
     <p class="foundations-subtitle">Observations across six physiological systems</p>
     <div class="foundation-cards">${cardsHTML}</div>
+    ${createSeverityRankingHTML()}
   `;
   
   // Add click handlers to scroll to section
@@ -311,16 +589,54 @@ function createFoundationsOverview() {
   return overview;
 }
 
+const RANKING_LIMIT = 8;
+
+/**
+ * Entered metrics ranked by position in range, furthest from optimal first
+ */
+function createSeverityRankingHTML() {
+  const ranked = healthState.systems
+    .flatMap(sys => sys.observables.flatMap(obs => obs.metrics.map(m => ({ ...m, system: sys.branch_name, importance: obs.importance }))))
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score || b.importance - a.importance)
+    .slice(0, RANKING_LIMIT);
+  
+  if (ranked.length === 0) return '';
+  
+  const rows = ranked.map(m => {
+    const statusInfo = getStatusDisplay(m.reference_status);
+    const deviation = formatDeviation(m);
+    return `
+      <div class="ranking-row ${statusInfo.className}">
+        <span class="ranking-system">${getShortName(m.system)}</span>
+        <span class="ranking-name">${m.metric_name}${deviation ? ` <span class="ranking-deviation">${deviation}</span>` : ''}</span>
+        <span class="ranking-value">${formatMetricValue(m)}</span>
+        <span class="ranking-bar" title="${Math.round(m.score * 100)}% of the way to concerning"><span style="width: ${Math.round(m.score * 100)}%"></span></span>
+      </div>
+    `;
+  }).join('');
+  
+  return `
+    <div class="severity-ranking">
+      <h3 class="severity-ranking-title">Furthest from optimal</h3>
+      ${rows}
+    </div>
+  `;
+}
+
+const CONFIDENCE_TITLE = 'How far the values can be relied on, from which metrics were entered and their fidelity';
+
+function getConfidenceHTML(confidence) {
+  const text = formatConfidence(confidence);
+  if (!text) return '';
+  return ` · <span class="confidence confidence-${confidence.level}" title="${CONFIDENCE_TITLE}">${text}</span>`;
+}
+
+/**
+ * Short name for a system, e.g. "Cardiovascular" for "Cardiovascular & Circulatory"
+ */
 function getShortName(branchName) {
-  const shortNames = {
-    'Cardiovascular & Circulatory': 'Cardiovascular',
-    'Metabolic & Energy Regulation': 'Metabolic',
-    'Inflammatory & Immune Load': 'Inflammatory',
-    'Neural & Cognitive Regulation': 'Neural',
-    'Hormonal & Regulatory Control': 'Hormonal',
-    'Structural & Musculoskeletal Capacity': 'Structural'
-  };
-  return shortNames[branchName] || branchName;
+  return branchName.split(' & ')[0];
 }
 
 function createReviewSystemSection(systemState) {
@@ -334,10 +650,14 @@ function createReviewSystemSection(systemState) {
     <div class="review-system-header">
       <h2>${systemState.branch_name}</h2>
       <div class="review-system-summary">
+        ${getSystemStateHTML(systemState)}
         <span class="stat-pill status-optimal">${s.optimal} optimal</span>
         <span class="stat-pill status-acceptable">${s.acceptable} acceptable</span>
         ${s.concerning + s.outside > 0 ? `<span class="stat-pill status-concerning">${s.concerning + s.outside} attention</span>` : ''}
+        ${getWeightedSharesHTML(s)}
       </div>
+      ${getDriversHTML(s.drivers)}
+      ${getStateTraceHTML(systemState)}
     </div>
   `;
   
@@ -354,6 +674,62 @@ function createReviewSystemSection(systemState) {
   return section;
 }
 
+/**
+ * The optimal and attention counts again as shares of the entered weight,
+ * so a strong signal counts for more than a weak proxy
+ */
+function getWeightedSharesHTML(summary) {
+  const optimal = getWeightedShare(summary, 'optimal');
+  if (optimal === null) return '';
+  
+  const attention = getWeightedShare(summary, 'concerning', 'outside');
+  const title = 'Share of entered values, weighted by observable importance and metric fidelity';
+  return `<span class="stat-pill weighted" title="${title}">By weight: ${optimal}% optimal${attention > 0 ? ` · ${attention}% attention` : ''}</span>`;
+}
+
+const DRIVER_LIMIT = 3;
+
+/**
+ * The values behind a summary, highest impact first
+ */
+function getDriversHTML(drivers) {
+  if (drivers.length === 0) return '';
+  
+  const shown = drivers.slice(0, DRIVER_LIMIT);
+  const more = drivers.length - shown.length;
+  return `
+    <p class="system-drivers">
+      <span class="drivers-label">${drivers[0].effect === 'strain' ? 'Driven by' : 'Supported by'}</span>
+      ${shown.map(d => `<span class="driver status-${d.reference_status}" title="${d.observable_name} · weight ${d.weight}">${formatDriver(d)}</span>`).join('')}
+      ${more > 0 ? `<span class="drivers-more">+${more} more</span>` : ''}
+    </p>
+  `;
+}
+
+function getSystemStateHTML(systemState) {
+  const state = SYSTEM_STATES[systemState.state];
+  if (!state) return '';
+  return `<span class="stat-pill system-state state-${systemState.state}" title="${state.description}">${state.label}</span>`;
+}
+
+/**
+ * The rules behind a system's state; the ones that set it come first
+ */
+function getStateTraceHTML(systemState) {
+  if (!systemState.state) return '';
+  
+  const trace = [...systemState.state_trace].sort((a, b) => b.decisive - a.decisive);
+  return `
+    <ul class="system-state-trace">
+      ${trace.map(t => `
+        <li class="${t.decisive ? 'decisive' : ''}" data-rule="${t.rule}">
+          <span class="trace-state">${SYSTEM_STATES[t.state].label}</span>${t.reason}
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
 function createReviewObservableGroup(observableState) {
   const group = document.createElement('div');
   group.className = 'review-observable';
@@ -368,16 +744,39 @@ function createReviewObservableGroup(observableState) {
   let metricsHTML = '';
   for (const metricState of observableState.metrics) {
     const statusInfo = getStatusDisplay(metricState.reference_status);
+    const showUnit = metricState.type === 'numeric' || metricState.type === 'ordinal' && !metricState.value_label;
     const valueDisplay = metricState.value !== null 
-      ? `<span class="review-value">${metricState.value}</span><span class="review-unit">${metricState.unit}</span>`
+      ? `<span class="review-value">${formatMetricValue(metricState)}</span>${showUnit ? `<span class="review-unit">${metricState.unit}</span>` : ''}`
       : `<span class="review-value empty">—</span>`;
+    const original = formatOriginalValue(metricState);
+    const originalDisplay = original ? `<span class="review-readings">entered as ${original}</span>` : '';
+    const baseline = formatBaseline(metricState);
+    const baselineDisplay = baseline 
+      ? `<span class="review-readings" title="Baseline: ${formatBaselineSource(metricState.baseline)}">${baseline}</span>` 
+      : '';
+    const override = metricState.plausibility_override;
+    const overrideDisplay = override 
+      ? `<span class="review-readings review-override" title="Kept outside the usual range on ${override.overridden_at.split('T')[0]}">kept: ${escapeHTML(override.reason)}</span>` 
+      : '';
+    const unconfirmedDisplay = metricState.unconfirmed_values.length > 0
+      ? `<span class="review-readings review-unconfirmed" title="Outside the usual range with no reason given yet">unconfirmed: ${metricState.unconfirmed_values.map(value => formatMetricValue({ value })).join(', ')}</span>`
+      : '';
+    const readingsDisplay = metricState.readings.length > 1 && !metricState.derived
+      ? `<span class="review-readings" title="${metricState.readings.map(r => `${r.value} on ${r.measured_at?.split('T')[0] || 'unknown date'}`).join(', ')}">${metricState.readings.map(r => r.value).join(', ')} · ${AGGREGATIONS[metricState.aggregation]?.label || metricState.aggregation}</span>`
+      : '';
     
     metricsHTML += `
-      <div class="review-metric ${statusInfo.className}">
-        <span class="review-metric-name">${metricState.metric_name}</span>
+      <div class="review-metric ${statusInfo.className}${metricState.reference_range ? ' has-detail' : ''}" data-metric-id="${metricState.metric_id}">
+        <span class="review-metric-name">${metricState.metric_name}${getContextTagHTML(metricState)}${getModifierTagHTML(metricState)}${metricState.derived ? getDerivedTagHTML(metricState) : ''}${getSexRangesTagHTML(metricState)}</span>
+        ${readingsDisplay}
+        ${originalDisplay}
+        ${baselineDisplay}
+        ${overrideDisplay}
+        ${unconfirmedDisplay}
         <span class="review-metric-value">${valueDisplay}</span>
-        <span class="review-metric-status">${statusInfo.icon}</span>
+        <span class="review-metric-status" title="${metricState.reference_gap || formatDeviation(metricState) || statusInfo.label}">${statusInfo.icon}${DEVIATION_ARROWS[metricState.deviation] || ''}</span>
       </div>
+      ${getRangeDetailHTML(metricState)}
     `;
   }
   
@@ -387,14 +786,91 @@ function createReviewObservableGroup(observableState) {
     <div class="review-observable-header" title="${description}">
       <span class="review-observable-name">${observableState.observable_name}</span>
       <span class="review-observable-importance">${importanceDots}</span>
+      ${observableState.summary.confidence.level ? `<span class="review-observable-confidence confidence confidence-${observableState.summary.confidence.level}" title="${CONFIDENCE_TITLE}">${formatConfidence(observableState.summary.confidence)}</span>` : ''}
     </div>
     ${description ? `<p class="review-observable-description">${description}</p>` : ''}
     <div class="review-metrics">${metricsHTML}</div>
   `;
   
+  // Drill down into the range and its source
+  group.querySelectorAll('.review-metric.has-detail').forEach(el => {
+    el.addEventListener('click', () => el.classList.toggle('expanded'));
+  });
+  
   return group;
 }
 
+/**
+ * Range bands and citation for a metric, shown when its review row is expanded
+ */
+function getRangeDetailHTML(metricState) {
+  const range = metricState.reference_range;
+  if (!range) return '';
+  
+  // Sex not recorded as male or female: each sex's range, worst case counted
+  const bandsHTML = metricState.sex_ranges.length > 0
+    ? metricState.sex_ranges.map(r => `
+        <div class="range-bands"><span class="range-sex">${r.sex}</span>${r.range ? getRangeBandsHTML(metricState, r.range) : 'no range'}</div>
+      `).join('') + `<div class="range-set">Sex unspecified: ${metricState.ambiguous ? 'ranges disagree, worst case counted' : 'both ranges agree'}</div>`
+    : `<div class="range-bands">${getRangeBandsHTML(metricState, range)}</div>`;
+  
+  const c = metricState.citation;
+  const set = metricState.reference_set;
+  const citationHTML = c ? `
+    <div class="range-citation">
+      ${c.url ? `<a href="${c.url}" target="_blank" rel="noopener">${formatCitation(c)}</a>` : formatCitation(c)}
+      ${c.guideline_id ? `<span class="citation-id">${c.guideline_id}</span>` : ''}
+      ${c.notes ? `<p class="citation-notes">${c.notes}</p>` : ''}
+    </div>
+  ` : '';
+  
+  return `
+    <div class="review-metric-detail">
+      ${bandsHTML}
+      ${set ? `<div class="range-set">${set.name} v${set.version}</div>` : ''}
+      ${citationHTML}
+    </div>
+  `;
+}
+
+function getRangeBandsHTML(metricState, range) {
+  if (range.categories) {
+    return Object.entries(range.categories).map(([key, status]) => {
+      const label = metricState.options.find(o => String(o.value) === key)?.label || key;
+      return `<span class="range-band status-${status}">${label}: ${status}</span>`;
+    }).join('');
+  }
+  return ['optimal', 'acceptable', 'concerning']
+    .filter(name => range[name])
+    .map(name => `<span class="range-band status-${name}">${name} ${range[name][0]}–${range[name][1]} ${metricState.unit}</span>`)
+    .join('');
+}
+
+/**
+ * "M/F" tag for metrics whose male and female ranges give different
+ * statuses for a person of unspecified sex
+ */
+function getSexRangesTagHTML(metricState) {
+  if (!metricState.ambiguous) return '';
+  return ` <span class="sex-range-tag" title="Ranges differ by sex (${formatSexRanges(metricState)}); worst case counted">M/F</span>`;
+}
+
+function getContextTagHTML(metricState) {
+  if (!metricState.context || metricState.value === null) return '';
+  
+  const label = MEASUREMENT_CONTEXTS[metricState.context] || metricState.context;
+  const title = metricState.reference_context 
+    ? `Reference range adjusted for ${label.toLowerCase()}` 
+    : `No ${label.toLowerCase()}-specific range; default range used`;
+  return ` <span class="context-tag" title="${title}">${label.toLowerCase()}</span>`;
+}
+
+function getModifierTagHTML(metricState) {
+  const label = formatReferenceModifier(metricState);
+  if (!label || metricState.value === null) return '';
+  return ` <span class="context-tag" title="Reference range adjusted for this physiological state">${label.toLowerCase()}</span>`;
+}
+
 // ============================================
 // Summary Rendering
 // ============================================
@@ -406,6 +882,7 @@ function renderSummary() {
   const s = healthState.summary;
   
   if (currentMode === 'review') {
+    const optimalShare = getWeightedShare(s, 'optimal');
     // Simpler summary for review mode
     summaryEl.innerHTML = `
       <div class="summary-stat">
@@ -420,6 +897,10 @@ function renderSummary() {
         <span class="stat-value status-concerning">${s.concerning + s.outside}</span>
         <span class="stat-label">attention</span>
       </div>
+      <div class="summary-stat" title="Share of entered values, weighted by observable importance and metric fidelity">
+        <span class="stat-value status-optimal">${optimalShare === null ? '—' : `${optimalShare}%`}</span>
+        <span class="stat-label">optimal by weight</span>
+      </div>
     `;
   } else {
     summaryEl.innerHTML = `
@@ -439,6 +920,10 @@ function renderSummary() {
         <span class="stat-value status-concerning">${s.concerning + s.outside}</span>
         <span class="stat-label">attention</span>
       </div>
+      <div class="summary-stat" title="Share of all metrics entered, weighted by observable importance and metric fidelity">
+        <span class="stat-value">${s.weighted.completeness}%</span>
+        <span class="stat-label">weighted coverage</span>
+      </div>
     `;
   }
 }
@@ -447,8 +932,61 @@ function renderSummary() {
 // Event Handlers
 // ============================================
 
-function handleMetricInput(metricId, value) {
-  evaluation = setMeasurement(evaluation, metricId, value);
+function handleMetricInput(metricId, values, options = {}) {
+  evaluation = setReadings(evaluation, metricId, values, options);
+  
+  healthState = buildHealthState(evaluation);
+  updateMetricDisplay(metricId);
+  refreshDerivedRows();
+  updateCompletionBadges();
+  renderSummary();
+  triggerAutoSave();
+}
+
+function handleContextChange(metricId, context) {
+  // Without a value yet, the picker's selection is picked up on first input
+  if (!evaluation.measurements[metricId]) return;
+  
+  evaluation = setMeasurementContext(evaluation, metricId, context);
+  
+  healthState = buildHealthState(evaluation);
+  updateMetricDisplay(metricId);
+  updateCompletionBadges();
+  renderSummary();
+  triggerAutoSave();
+}
+
+function handleUnitChange(metricId, unit) {
+  // Without a value yet, the picker's selection is picked up on first input
+  if (!evaluation.measurements[metricId]) return;
+  // Same for readings the new unit makes implausible, until they're fixed or kept
+  if (hasUnsavedPlausibilityProblems(metricId)) return;
+  
+  evaluation = setMeasurementUnit(evaluation, metricId, unit);
+  
+  healthState = buildHealthState(evaluation);
+  updateMetricDisplay(metricId);
+  updateCompletionBadges();
+  renderSummary();
+  triggerAutoSave();
+}
+
+function handleEntryModeChange(metricId, enteredAs) {
+  // Without a value yet, the picker's selection is picked up on first input
+  if (!evaluation.measurements[metricId]) return;
+  if (hasUnsavedPlausibilityProblems(metricId)) return;
+  
+  evaluation = setEntryMode(evaluation, metricId, enteredAs);
+  
+  healthState = buildHealthState(evaluation);
+  updateMetricDisplay(metricId);
+  updateCompletionBadges();
+  renderSummary();
+  triggerAutoSave();
+}
+
+function handleAggregationChange(metricId, aggregation) {
+  evaluation = setAggregation(evaluation, metricId, aggregation);
   
   healthState = buildHealthState(evaluation);
   updateMetricDisplay(metricId);
@@ -478,7 +1016,29 @@ function updateMetricDisplay(metricId) {
   const statusInfo = getStatusDisplay(metricState.reference_status);
   const statusSpan = row.querySelector('.metric-status');
   statusSpan.className = `metric-status ${statusInfo.className}`;
-  statusSpan.innerHTML = `<span class="status-icon">${statusInfo.icon}</span><span class="status-label">${statusInfo.label}</span>`;
+  statusSpan.innerHTML = getMetricStatusHTML(metricState);
+  
+  row.querySelector('.metric-aggregate').innerHTML = getAggregateSummaryHTML(metricState) + getBaselineSummaryHTML(metricState) + getSexRangesTagHTML(metricState);
+  row.querySelector('.metric-protocol').textContent = getRangeHintText(metricState);
+  if (metricState.type === 'numeric' && !metricState.derived) checkRowPlausibility(row);
+}
+
+/**
+ * Re-render rows whose derived value may have changed
+ * Rows being typed into by hand (inputs incomplete) are left alone.
+ */
+function refreshDerivedRows() {
+  for (const sys of healthState.systems) {
+    for (const obs of sys.observables) {
+      for (const met of obs.metrics) {
+        if (!met.derivation) continue;
+        
+        const row = document.querySelector(`.metric-row[data-metric-id="${met.metric_id}"]`);
+        if (!row || (!met.derived && row.dataset.derived !== 'true')) continue;
+        row.replaceWith(createEntryMetricRow(met));
+      }
+    }
+  }
 }
 
 function updateCompletionBadges() {
@@ -491,26 +1051,94 @@ function updateCompletionBadges() {
     
     const completeness = systemState.summary.completeness;
     badge.textContent = `${completeness}%`;
+    badge.title = getWeightedCompletenessTitle(systemState.summary);
     badge.className = 'completion-badge ' + 
       (completeness === 0 ? 'empty' : completeness === 100 ? 'complete' : 'partial');
   }
 }
 
+function getWeightedCompletenessTitle(summary) {
+  return `${summary.weighted.completeness}% weighted by importance and fidelity`;
+}
+
 function handlePersonChange() {
   const ageInput = document.getElementById('person-age');
   const sexSelect = document.getElementById('person-sex');
+  const heightInput = document.getElementById('person-height');
   const nameInput = document.getElementById('person-name');
   
   evaluation = updatePerson(evaluation, {
     name: nameInput?.value || '',
     age: ageInput.value ? parseInt(ageInput.value) : null,
-    sex: sexSelect.value || null
+    sex: sexSelect.value || null,
+    height: heightInput?.value ? parseFloat(heightInput.value) : null
   });
   
+  restorePhysiologicalState();
   render();
   triggerAutoSave();
 }
 
+function handlePhysiologicalStateChange(state, option) {
+  evaluation = setPhysiologicalState(evaluation, state, option || null);
+  
+  render();
+  triggerAutoSave();
+}
+
+function handleBaselineChange(baselineId, raw) {
+  const value = raw === '' ? null : parseFloat(raw);
+  evaluation = setBaseline(evaluation, baselineId, value);
+  
+  render();
+  triggerAutoSave();
+}
+
+/**
+ * Fill baselines from the person's earlier saved evaluations
+ */
+async function handleBaselinesFromHistory() {
+  if (!evaluation.person_name) {
+    alert('Enter a name first — earlier evaluations are matched by name.');
+    return;
+  }
+  
+  const found = await findHistoricalBaselines(evaluation);
+  const ids = Object.keys(found);
+  if (ids.length === 0) {
+    alert(`No earlier evaluations for ${evaluation.person_name} have values to use as baselines.`);
+    return;
+  }
+  
+  const lines = ids.map(id => 
+    `${BASELINES[id].name}: ${formatMetricValue({ value: found[id].value })} ${BASELINES[id].unit} (${formatBaselineSource(found[id])})`
+  );
+  if (!confirm(['Use these baselines?', ...lines].join('\n'))) return;
+  
+  for (const id of ids) {
+    const { value, ...details } = found[id];
+    evaluation = setBaseline(evaluation, id, value, details);
+  }
+  restoreBaselineInputs();
+  render();
+  triggerAutoSave();
+}
+
+function handleReferenceSetChange(e) {
+  evaluation = setReferenceSet(evaluation, e.target.value);
+  
+  render();
+  triggerAutoSave();
+}
+
+/**
+ * Reclassify against the clinic's new range overrides
+ */
+function handleClinicRangesSaved() {
+  healthState = buildHealthState(evaluation);
+  renderSummary();
+}
+
 // ============================================
 // Auto-Save Status
 // ============================================
@@ -601,12 +1229,25 @@ async function loadSavedEvaluation(key) {
   
   evaluation = loaded;
   saveEvaluation(evaluation);
+  showMigrationNotices();
   render();
   restoreFormValues();
   showSaveStatus('saved');
   hideSavedEvaluationsModal();
 }
 
+/**
+ * Tell the user what changed when an older evaluation was upgraded on load
+ */
+function showMigrationNotices() {
+  const notices = evaluation.migration_notices;
+  if (!notices || notices.length === 0) return;
+  
+  alert(`This evaluation was saved with an older version of the schema and has been updated:\n\n• ${notices.join('\n• ')}`);
+  evaluation = acknowledgeMigrationNotices(evaluation);
+  saveEvaluation(evaluation);
+}
+
 async function deleteSavedEvaluation(key) {
   if (!confirm('Delete this saved evaluation?')) return;
   await deleteEvaluationByKey(key);
@@ -637,6 +1278,87 @@ function handleExport() {
   URL.revokeObjectURL(url);
 }
 
+// ============================================
+// Import
+// ============================================
+
+let pendingImport = null;
+
+function handleImportFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+  
+  const reader = new FileReader();
+  reader.onload = () => showImportPreview(file.name, importEvaluationJSON(reader.result));
+  reader.onerror = () => alert('Could not read the file');
+  reader.readAsText(file);
+}
+
+/**
+ * Escape free text (imported file contents, override reasons) for use in HTML
+ */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Show what an import contains and what's wrong with it
+ * The import can only be accepted when there are no errors.
+ */
+function showImportPreview(filename, result) {
+  const { evaluation: imported, errors, warnings } = result;
+  pendingImport = errors.length === 0 ? imported : null;
+  
+  const issueList = (issues, className) => issues.length === 0 ? '' : `
+    <ul class="import-issues ${className}">
+      ${issues.map(i => `<li>${i.path ? `<code>${escapeHTML(i.path)}</code> ` : ''}${escapeHTML(i.message)}</li>`).join('')}
+    </ul>
+  `;
+  
+  const summary = imported
+    ? escapeHTML(`${imported.person_name || 'Unnamed'} — ${imported.person_age ?? '?'} years, ${imported.person_sex || '?'} — ${Object.keys(imported.measurements).length} measurements`)
+    : 'Nothing could be read from this file.';
+  
+  let verdict;
+  if (errors.length > 0) {
+    verdict = `<p class="import-verdict status-concerning">${errors.length} error${errors.length === 1 ? '' : 's'} — fix the file before importing.</p>`;
+  } else if (warnings.length > 0) {
+    verdict = `<p class="import-verdict status-acceptable">${warnings.length} warning${warnings.length === 1 ? '' : 's'} — review before importing.</p>`;
+  } else {
+    verdict = `<p class="import-verdict status-optimal">No issues found.</p>`;
+  }
+  
+  document.getElementById('import-preview').innerHTML = `
+    <p class="import-file">${escapeHTML(filename)}</p>
+    <p class="import-summary">${summary}</p>
+    ${verdict}
+    ${issueList(errors, 'errors')}
+    ${issueList(warnings, 'warnings')}
+  `;
+  document.getElementById('btn-accept-import').disabled = !pendingImport;
+  document.getElementById('import-modal').style.display = 'flex';
+}
+
+function hideImportPreview() {
+  pendingImport = null;
+  document.getElementById('import-modal').style.display = 'none';
+}
+
+function acceptImport() {
+  if (!pendingImport) return;
+  
+  evaluation = pendingImport;
+  hideImportPreview();
+  saveEvaluation(evaluation);
+  render();
+  restoreFormValues();
+  
+  const notesEl = document.getElementById('doctor-notes');
+  if (notesEl) notesEl.value = evaluation.notes || '';
+  showSaveStatus('saved');
+}
+
 
 function handleClearData() {
   if (confirm('Clear all entered data? This cannot be undone.')) {
@@ -645,8 +1367,14 @@ function handleClearData() {
     
     document.getElementById('person-age').value = '';
     document.getElementById('person-sex').value = '';
+    const heightInput = document.getElementById('person-height');
+    if (heightInput) heightInput.value = '';
+    const referenceSetSelect = document.getElementById('reference-set');
+    if (referenceSetSelect) referenceSetSelect.value = DEFAULT_REFERENCE_SET;
     const nameInput = document.getElementById('person-name');
     if (nameInput) nameInput.value = '';
+    restoreBaselineInputs();
+    restorePhysiologicalState();
     
     render();
   }
@@ -677,17 +1405,149 @@ function handleGenerateReport() {
 function restoreFormValues() {
   const ageInput = document.getElementById('person-age');
   const sexSelect = document.getElementById('person-sex');
+  const heightInput = document.getElementById('person-height');
   const nameInput = document.getElementById('person-name');
   
   if (evaluation.person_age) ageInput.value = evaluation.person_age;
   if (evaluation.person_sex) sexSelect.value = evaluation.person_sex;
+  if (heightInput && evaluation.person_height) heightInput.value = evaluation.person_height;
+  
+  const referenceSetSelect = document.getElementById('reference-set');
+  if (referenceSetSelect) referenceSetSelect.value = evaluation.reference_set || DEFAULT_REFERENCE_SET;
   if (nameInput && evaluation.person_name) nameInput.value = evaluation.person_name;
+  
+  restoreBaselineInputs();
+  restorePhysiologicalState();
+}
+
+function restoreBaselineInputs() {
+  document.querySelectorAll('#baseline-inputs input[data-baseline-id]').forEach(input => {
+    const baseline = evaluation.baselines?.[input.dataset.baselineId];
+    input.value = baseline ? baseline.value : '';
+    input.title = baseline ? `Baseline ${formatBaselineSource(baseline)}` : '';
+  });
 }
 
-function init() {
+function populateBaselineInputs() {
+  const container = document.getElementById('baseline-inputs');
+  if (!container) return;
+  
+  container.innerHTML = Object.entries(BASELINES).map(([id, b]) => `
+    <label>
+      <span>${b.name} baseline</span>
+      <input type="number" step="any" data-baseline-id="${id}" placeholder="${b.unit}">
+    </label>
+  `).join('');
+}
+
+/**
+ * Physiological state pickers; hidden for males, whose ranges they don't change
+ */
+function restorePhysiologicalState() {
+  const row = document.getElementById('physiological-state');
+  if (!row) return;
+  
+  row.hidden = evaluation.person_sex === 'male';
+  row.querySelectorAll('select[data-state]').forEach(select => {
+    select.value = evaluation.physiological_state?.[select.dataset.state] || '';
+  });
+}
+
+function populatePhysiologicalStateSelects() {
+  const row = document.getElementById('physiological-state');
+  if (!row) return;
+  
+  row.innerHTML = Object.entries(PHYSIOLOGICAL_STATES).map(([id, state]) => `
+    <label>
+      <span>${state.label}</span>
+      <select data-state="${id}">
+        <option value="">Not applicable</option>
+        ${Object.entries(state.options).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+    </label>
+  `).join('');
+}
+
+function populateReferenceSetSelect() {
+  const select = document.getElementById('reference-set');
+  if (!select) return;
+  
+  select.innerHTML = Object.values(REFERENCE_SETS).map(set => 
+    `<option value="${set.id}" title="${set.description}">${set.name} (v${set.version})</option>`
+  ).join('');
+}
+
+/**
+ * Log reference table problems so broken ranges are noticed early
+ */
+function reportReferenceTableIssues() {
+  const { errors, warnings } = validateReferenceTables();
+  errors.forEach(i => console.error(`Reference ranges: ${i.path}: ${i.message}`));
+  warnings.forEach(i => console.warn(`Reference ranges: ${i.path}: ${i.message}`));
+}
+
+/**
+ * Load the health schema, any clinic extension and the report rules; if
+ * the schema can't be used, show why in place of the form. A broken
+ * extension or rule file is left out.
+ */
+async function loadHealthSchema() {
+  const { url, errors, warnings } = await loadSchema();
+  warnings.forEach(i => console.warn(`Schema ${url}: ${i.path}: ${i.message}`));
+  if (errors.length === 0) {
+    await loadHealthSchemaExtension();
+    await loadHealthReportRules();
+    return true;
+  }
+  
+  document.getElementById('systems-container').innerHTML = `
+    <div class="schema-error">
+      <h2>The health schema could not be loaded</h2>
+      <p>${url} has ${errors.length} problem${errors.length === 1 ? '' : 's'}. Fix the file, or open the app with
+        <code>?schema=</code> pointing at another one.</p>
+      <ul class="import-issues errors">
+        ${errors.map(i => `<li>${i.path ? `<code>${i.path}</code> ` : ''}${i.message}</li>`).join('')}
+      </ul>
+    </div>
+  `;
+  return false;
+}
+
+async function loadHealthSchemaExtension() {
+  const { url, errors, warnings } = await loadSchemaExtension();
+  warnings.forEach(i => console.warn(`Schema extension ${url}: ${i.path}: ${i.message}`));
+  if (errors.length === 0) return;
+  
+  alert([
+    `The schema extension ${url} was not loaded; its metrics are left out:`,
+    ...errors.map(i => `${i.path ? i.path + ': ' : ''}${i.message}`)
+  ].join('\n'));
+}
+
+async function loadHealthReportRules() {
+  for (const { url, errors, warnings } of await loadReportRules()) {
+    warnings.forEach(i => console.warn(`Report rules ${url}: ${i.path}: ${i.message}`));
+    if (errors.length === 0) continue;
+    
+    alert([
+      `The report rules in ${url} were not loaded; the report leaves them out:`,
+      ...errors.map(i => `${i.path ? i.path + ': ' : ''}${i.message}`)
+    ].join('\n'));
+  }
+}
+
+async function init() {
+  if (!await loadHealthSchema()) return;
+  
+  loadClinicRanges();
+  reportReferenceTableIssues();
   evaluation = loadEvaluation() || createEvaluation();
+  showMigrationNotices();
   healthState = buildHealthState(evaluation);
   
+  populateReferenceSetSelect();
+  populateBaselineInputs();
+  populatePhysiologicalStateSelects();
   render();
   restoreFormValues();
   
@@ -700,6 +1560,20 @@ function init() {
   document.getElementById('person-age').addEventListener('input', handlePersonChange);
   document.getElementById('person-sex').addEventListener('change', handlePersonChange);
   
+  document.getElementById('person-height')?.addEventListener('input', handlePersonChange);
+  document.getElementById('reference-set')?.addEventListener('change', handleReferenceSetChange);
+  
+  // Personal baselines
+  document.getElementById('baseline-inputs')?.addEventListener('input', (e) => {
+    if (e.target.dataset.baselineId) handleBaselineChange(e.target.dataset.baselineId, e.target.value);
+  });
+  document.getElementById('btn-baselines-history')?.addEventListener('click', handleBaselinesFromHistory);
+  
+  // Physiological state
+  document.getElementById('physiological-state')?.addEventListener('change', (e) => {
+    if (e.target.dataset.state) handlePhysiologicalStateChange(e.target.dataset.state, e.target.value);
+  });
+  
   const nameInput = document.getElementById('person-name');
   if (nameInput) nameInput.addEventListener('input', handlePersonChange);
   
@@ -719,6 +1593,18 @@ function init() {
   // Buttons
   document.getElementById('btn-generate-report')?.addEventListener('click', handleGenerateReport);
   document.getElementById('btn-clear')?.addEventListener('click', handleClearData);
+  document.getElementById('btn-export')?.addEventListener('click', handleExport);
+  
+  // Import with preview
+  const importInput = document.getElementById('import-file');
+  document.getElementById('btn-import')?.addEventListener('click', () => importInput?.click());
+  importInput?.addEventListener('change', handleImportFile);
+  document.getElementById('btn-accept-import')?.addEventListener('click', acceptImport);
+  document.getElementById('btn-reject-import')?.addEventListener('click', hideImportPreview);
+  document.getElementById('btn-close-import')?.addEventListener('click', hideImportPreview);
+  document.getElementById('import-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'import-modal') hideImportPreview();
+  });
   
   // Saved evaluations modal
   document.getElementById('btn-show-saved')?.addEventListener('click', showSavedEvaluationsModal);
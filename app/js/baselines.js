@@ -0,0 +1,91 @@
+/**
+ * Personal Baselines
+ *
+ * Some metrics are defined against the person's own baseline (resting HR
+ * elevation, HRV suppression). They declare it in the schema:
+ *
+ *   baseline: { id: "resting_hr", compare: "difference" }
+ *
+ * `id` names a BASELINES entry; the person's value for it is kept on the
+ * evaluation in `baselines`, entered directly or taken from earlier
+ * evaluations. A measurement entered as a raw value (`entered_as: "raw"`)
+ * becomes the change from baseline when the HealthState is built, so it
+ * follows the baseline when that changes. Metrics whose ranges are on the
+ * raw value (`classify: "value"`) keep it and only show the change.
+ */
+
+import { BASELINES, getAllMetrics } from './schema.js';
+
+/**
+ * How a raw value is compared with its baseline
+ */
+export const BASELINE_COMPARISONS = {
+  difference: {
+    compute: (value, baseline) => value - baseline,
+    unit: definition => definition.unit
+  },
+  percent: {
+    compute: (value, baseline) => baseline ? (value - baseline) / baseline * 100 : null,
+    unit: () => "%"
+  }
+};
+
+/**
+ * Whether a metric can be entered as a raw value instead of the change
+ */
+export function acceptsRawEntry(metric) {
+  return Boolean(metric?.baseline) && metric.baseline.classify !== "value";
+}
+
+/**
+ * Get the evaluation's value for a baseline, or null if it has none
+ */
+export function getBaselineValue(evaluation, baselineId) {
+  const value = evaluation.baselines?.[baselineId]?.value;
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Compare raw measurements with the person's baselines
+ * Returns measurements with raw entries turned into the change from
+ * baseline (null when there's no baseline yet) and `baseline` attached:
+ *   { id, name, unit, value, source, history, compare, raw_value, change, change_unit }
+ * Measurements entered as the change already are left alone.
+ */
+export function applyBaselines(evaluation, measurements) {
+  const result = { ...measurements };
+
+  for (const metric of getAllMetrics().filter(m => m.baseline)) {
+    const measurement = measurements[metric.metric_id];
+    if (!measurement || typeof measurement.value !== "number") continue;
+
+    const { id, compare, classify } = metric.baseline;
+    const enteredRaw = classify === "value" || measurement.entered_as === "raw";
+    if (!enteredRaw) continue;
+
+    const definition = BASELINES[id];
+    const comparison = BASELINE_COMPARISONS[compare] || BASELINE_COMPARISONS.difference;
+    const record = evaluation.baselines?.[id] ?? null;
+    const baselineValue = getBaselineValue(evaluation, id);
+    const change = baselineValue === null ? null : comparison.compute(measurement.value, baselineValue);
+
+    result[metric.metric_id] = {
+      ...measurement,
+      value: classify === "value" ? measurement.value : change,
+      baseline: {
+        id,
+        name: definition.name,
+        unit: definition.unit,
+        value: baselineValue,
+        source: record?.source ?? null,
+        history: record?.source === "history" ? { evaluations: record.evaluations, from: record.from, to: record.to } : null,
+        compare,
+        raw_value: measurement.value,
+        change,
+        change_unit: comparison.unit(definition)
+      }
+    };
+  }
+
+  return result;
+}
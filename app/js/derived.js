@@ -0,0 +1,128 @@
+/**
+ * Derived Metrics
+ *
+ * Some schema metrics are arithmetic on other entries (TG/HDL ratio,
+ * waist-to-height). They declare it in the schema:
+ *
+ *   derived: { formula: "ratio", inputs: ["triglycerides", "hdl_c"] }
+ *
+ * Inputs are metric IDs, or person fields listed in PERSON_INPUTS.
+ * Derived values are computed from the evaluation every time the
+ * HealthState is built, so they follow their inputs automatically.
+ */
+
+import { getAllMetrics } from './schema.js';
+
+/**
+ * Formulas a derived metric can use. Each takes the input values in
+ * order and returns the result, or null if it can't be computed.
+ */
+export const DERIVED_FORMULAS = {
+  ratio: {
+    symbol: "÷",
+    compute: ([numerator, denominator]) => denominator ? numerator / denominator : null
+  },
+  copy: {
+    symbol: "=",
+    compute: ([value]) => value
+  }
+};
+
+/**
+ * Person fields that can feed a derived metric
+ */
+export const PERSON_INPUTS = {
+  person_height: { name: "Height", unit: "cm" }
+};
+
+/**
+ * Get the evaluation's value for one derived input
+ */
+function getInputValue(evaluation, measurements, inputId) {
+  if (PERSON_INPUTS[inputId]) {
+    return evaluation[inputId] ?? null;
+  }
+  const value = measurements[inputId]?.value;
+  return typeof value === 'number' ? value : null;
+}
+
+function getInputName(inputId, metricsById) {
+  return PERSON_INPUTS[inputId]?.name || metricsById[inputId]?.metric_name || inputId;
+}
+
+function getInputUnit(inputId, metricsById) {
+  return PERSON_INPUTS[inputId]?.unit || metricsById[inputId]?.unit || '';
+}
+
+/**
+ * Compute all derived metrics for an evaluation
+ * Returns Measurement-shaped objects keyed by metric_id, flagged `derived`
+ * and carrying the inputs they were computed from. Metrics whose inputs
+ * are incomplete are left out, so a hand-entered value still applies.
+ */
+export function computeDerivedMeasurements(evaluation) {
+  const metrics = getAllMetrics();
+  const metricsById = Object.fromEntries(metrics.map(m => [m.metric_id, m]));
+  const derivedMetrics = metrics.filter(m => m.derived);
+
+  const measurements = { ...evaluation.measurements };
+  const derived = {};
+
+  // Repeat until stable so derived metrics can feed other derived metrics
+  for (let pass = 0; pass <= derivedMetrics.length; pass++) {
+    let changed = false;
+
+    for (const metric of derivedMetrics) {
+      const { formula, inputs } = metric.derived;
+      const values = inputs.map(id => getInputValue(evaluation, measurements, id));
+      if (values.some(v => v === null)) continue;
+
+      const value = DERIVED_FORMULAS[formula]?.compute(values) ?? null;
+      if (value === null || !Number.isFinite(value)) continue;
+      if (derived[metric.metric_id]?.value === value) continue;
+
+      // A straight copy keeps the context of its source (e.g. non-fasting)
+      const source = formula === 'copy' ? measurements[inputs[0]] : null;
+      const measuredAt = inputs
+        .map(id => measurements[id]?.measured_at)
+        .filter(Boolean)
+        .sort()
+        .pop() || new Date().toISOString().split('T')[0];
+
+      derived[metric.metric_id] = {
+        metric_id: metric.metric_id,
+        value,
+        readings: [{ value, measured_at: measuredAt }],
+        measured_at: measuredAt,
+        context: source?.context ?? null,
+        derived: true,
+        derived_inputs: inputs.map((id, i) => ({
+          id,
+          name: getInputName(id, metricsById),
+          value: values[i],
+          unit: getInputUnit(id, metricsById)
+        }))
+      };
+      measurements[metric.metric_id] = derived[metric.metric_id];
+      changed = true;
+    }
+
+    if (!changed) break;
+  }
+
+  return derived;
+}
+
+/**
+ * Describe how a derived metric is computed, e.g. "Triglycerides ÷ HDL-C"
+ */
+export function describeDerivation(metric) {
+  if (!metric?.derived) return null;
+
+  const metricsById = Object.fromEntries(getAllMetrics().map(m => [m.metric_id, m]));
+  const { formula, inputs } = metric.derived;
+  const names = inputs.map(id => getInputName(id, metricsById));
+  if (formula === 'copy') return `Same as ${names[0]}`;
+  return names.join(` ${DERIVED_FORMULAS[formula]?.symbol || formula} `);
+}
+
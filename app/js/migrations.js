@@ -0,0 +1,186 @@
+/**
+ * Evaluation Migrations
+ *
+ * Every saved evaluation is stamped with two versions:
+ * - format_version: shape of the evaluation object itself (FORMAT_VERSION)
+ * - schema_version: health schema its metric IDs refer to (SCHEMA_VERSION)
+ *
+ * On load, older evaluations are upgraded step by step through
+ * FORMAT_MIGRATIONS, then metric IDs are brought up to date with
+ * METRIC_RENAMES. Measurements for metrics that no longer exist are moved
+ * to `retired_measurements` and reported, never dropped; they come back
+ * if the metric does (a clinic's schema extension reinstalled).
+ */
+
+import { SCHEMA_VERSION, getMetricById } from './schema.js';
+
+export const FORMAT_VERSION = "2.0";
+
+/**
+ * Evaluations saved before versioning existed
+ */
+const LEGACY_FORMAT_VERSION = "1.0";
+
+/**
+ * Metric IDs that have been renamed or split in the schema
+ *
+ *   "old_id": "new_id"              — renamed
+ *   "old_id": ["new_a", "new_b"]    — split; the value is copied to each
+ *
+ * Renames are applied to any evaluation whose schema_version differs from
+ * SCHEMA_VERSION. Add entries here whenever a metric ID changes.
+ */
+export const METRIC_RENAMES = {};
+
+/**
+ * Format migrations, applied in order
+ * Each takes an evaluation in `from` format and returns it in `to` format,
+ * pushing anything the user should know about onto `notices`.
+ */
+const FORMAT_MIGRATIONS = [
+  {
+    from: "1.0",
+    to: "2.0",
+    description: "Single-value measurements become readings",
+    migrate(evaluation) {
+      const measurements = {};
+      for (const [metricId, m] of Object.entries(evaluation.measurements)) {
+        if (Array.isArray(m.readings)) {
+          measurements[metricId] = m;
+          continue;
+        }
+        measurements[metricId] = {
+          ...m,
+          readings: m.value === null || m.value === undefined ? [] : [{ value: m.value, measured_at: m.measured_at }],
+          aggregation: null,
+          original_value: m.value,
+          unit: getMetricById(metricId)?.unit ?? null,
+          context: m.context ?? null
+        };
+      }
+      return { ...evaluation, measurements };
+    }
+  }
+];
+
+/**
+ * Bring an evaluation up to the current format and schema
+ * Returns { evaluation, notices } where notices are human-readable
+ * messages about anything that changed. Throws if the data isn't an
+ * evaluation or was written by a newer version of the app.
+ */
+export function migrateEvaluation(data) {
+  if (!data || typeof data !== 'object' || !data.measurements || typeof data.measurements !== 'object') {
+    throw new Error('This file does not contain an evaluation');
+  }
+
+  const notices = [];
+  const fromFormat = data.format_version || LEGACY_FORMAT_VERSION;
+  const fromSchema = data.schema_version || null;
+  let evaluation = data;
+
+  // Format migrations
+  let version = fromFormat;
+  while (version !== FORMAT_VERSION) {
+    const step = FORMAT_MIGRATIONS.find(m => m.from === version);
+    if (!step) {
+      throw new Error(`Evaluation format ${version} is not supported by this version of the app (expects ${FORMAT_VERSION})`);
+    }
+    evaluation = step.migrate(evaluation, notices);
+    version = step.to;
+  }
+
+  // Schema migrations
+  if (fromSchema !== SCHEMA_VERSION) {
+    evaluation = applyMetricRenames(evaluation, notices);
+  }
+  evaluation = reinstateKnownMetrics(evaluation, notices);
+  evaluation = retireUnknownMetrics(evaluation, notices);
+
+  if (fromFormat === FORMAT_VERSION && fromSchema === SCHEMA_VERSION && notices.length === 0) {
+    return { evaluation, notices };
+  }
+
+  const history = Array.isArray(evaluation.migration_history) ? evaluation.migration_history : [];
+  return {
+    evaluation: {
+      ...evaluation,
+      format_version: FORMAT_VERSION,
+      schema_version: SCHEMA_VERSION,
+      migration_history: [...history, {
+        migrated_at: new Date().toISOString(),
+        from_format: fromFormat,
+        to_format: FORMAT_VERSION,
+        from_schema: fromSchema,
+        to_schema: SCHEMA_VERSION,
+        notices
+      }]
+    },
+    notices
+  };
+}
+
+/**
+ * Move measurements under renamed or split metric IDs to their new IDs
+ * An existing value under the new ID wins over the migrated one.
+ */
+function applyMetricRenames(evaluation, notices) {
+  const measurements = { ...evaluation.measurements };
+
+  for (const [oldId, target] of Object.entries(METRIC_RENAMES)) {
+    const measurement = measurements[oldId];
+    if (!measurement) continue;
+
+    const newIds = Array.isArray(target) ? target : [target];
+    delete measurements[oldId];
+
+    for (const newId of newIds) {
+      if (measurements[newId]) continue;
+      measurements[newId] = { ...measurement, metric_id: newId };
+    }
+    notices.push(newIds.length > 1
+      ? `"${oldId}" was split into ${newIds.map(id => `"${id}"`).join(', ')}; its value was copied to each`
+      : `"${oldId}" was renamed to "${newIds[0]}"`);
+  }
+
+  return { ...evaluation, measurements };
+}
+
+/**
+ * Move measurements for metrics the schema no longer defines to
+ * `retired_measurements`, so they stay in the file but out of the analysis
+ */
+function retireUnknownMetrics(evaluation, notices) {
+  const unknown = Object.keys(evaluation.measurements).filter(id => !getMetricById(id));
+  if (unknown.length === 0) return evaluation;
+
+  const measurements = { ...evaluation.measurements };
+  const retired = { ...(evaluation.retired_measurements || {}) };
+  for (const metricId of unknown) {
+    retired[metricId] = measurements[metricId];
+    delete measurements[metricId];
+    notices.push(`"${metricId}" is not in the current schema (removed since, or from an extension that is not installed); its value was kept aside but is not used`);
+  }
+
+  return { ...evaluation, measurements, retired_measurements: retired };
+}
+
+/**
+ * Move retired measurements back once the schema defines their metric
+ * again. A measurement already recorded under the ID wins and the retired
+ * one stays where it is.
+ */
+function reinstateKnownMetrics(evaluation, notices) {
+  const retired = { ...(evaluation.retired_measurements || {}) };
+  const known = Object.keys(retired).filter(id => getMetricById(id) && !evaluation.measurements[id]);
+  if (known.length === 0) return evaluation;
+
+  const measurements = { ...evaluation.measurements };
+  for (const metricId of known) {
+    measurements[metricId] = retired[metricId];
+    delete retired[metricId];
+    notices.push(`"${metricId}" is in the schema again; its kept-aside value is back in use`);
+  }
+
+  return { ...evaluation, measurements, retired_measurements: retired };
+}
@@ -0,0 +1,300 @@
+/**
+ * Reference Range Editor
+ *
+ * Admin view listing every metric's numeric ranges by sex and age band.
+ * Edits stay in a draft until saved; saving stores the bands that differ
+ * from the selected reference set as the clinic override layer (see
+ * CLINIC OVERRIDES in references.js), which can be exported and imported
+ * as JSON to share between clinics.
+ */
+
+import { BRANCHES } from './schema.js';
+import { getRangeTable, getReferenceSet, getClinicOverrides, checkRangeBand, parseAgeBand, RANGE_TIERS } from './references.js';
+import { validateClinicRanges } from './validation.js';
+import { saveClinicRanges, downloadClinicRanges, importClinicRangesJSON } from './state.js';
+
+const CLINIC_CITATION = "clinic_override";
+const SEX_LABELS = { male: "Male", female: "Female", any: "All" };
+
+let draft = null;
+let editor = null;
+
+/**
+ * Render the editor into a container
+ * Defaults shown are those of `referenceSet`; `onSave` runs after the
+ * override layer changes so the caller can reclassify. An unsaved draft
+ * survives re-rendering until it's saved or discarded.
+ */
+export function renderRangeEditor(container, { referenceSet, onSave }) {
+  draft ??= structuredClone(getClinicOverrides());
+  editor = { container, referenceSet, onSave };
+
+  container.innerHTML = '';
+  container.className = 'systems-container range-editor';
+
+  const set = getReferenceSet(referenceSet);
+  const header = document.createElement('div');
+  header.className = 'range-editor-header';
+  header.innerHTML = `
+    <h2>Reference Ranges</h2>
+    <p class="range-editor-intro">
+      Defaults are from ${set.name} v${set.version}. Edited bands are saved as clinic overrides and
+      apply under every reference set. Context- and state-specific ranges (e.g. non-fasting, pregnancy)
+      are not overridden.
+    </p>
+    <div class="range-editor-actions">
+      <button type="button" class="btn btn-primary" data-action="save">Save overrides</button>
+      <button type="button" class="btn btn-secondary" data-action="discard">Discard changes</button>
+      <button type="button" class="btn btn-text" data-action="export">Export</button>
+      <button type="button" class="btn btn-text" data-action="import">Import</button>
+      <input type="file" accept=".json,application/json" hidden>
+    </div>
+    <div class="range-editor-status"></div>
+  `;
+  container.appendChild(header);
+
+  for (const branch of BRANCHES) {
+    const section = createEditorSystemSection(branch);
+    if (section) container.appendChild(section);
+  }
+
+  const fileInput = header.querySelector('input[type="file"]');
+  header.querySelector('[data-action="save"]').addEventListener('click', saveDraft);
+  header.querySelector('[data-action="discard"]').addEventListener('click', () => {
+    draft = null;
+    renderRangeEditor(container, editor);
+  });
+  header.querySelector('[data-action="export"]').addEventListener('click', downloadClinicRanges);
+  header.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', handleImportFile);
+
+  updateStatus();
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+function createEditorSystemSection(branch) {
+  const metrics = branch.observables
+    .flatMap(obs => obs.metrics)
+    .filter(metric => hasNumericRanges(metric.metric_id));
+  if (metrics.length === 0) return null;
+
+  const section = document.createElement('section');
+  section.className = 'range-editor-system';
+  section.innerHTML = `<h2>${branch.branch_name}</h2>`;
+
+  for (const metric of metrics) {
+    section.appendChild(createEditorMetricTable(metric));
+  }
+  return section;
+}
+
+function hasNumericRanges(metricId) {
+  const table = getRangeTable(metricId, editor.referenceSet);
+  return Boolean(table) && table.direction !== 'categorical';
+}
+
+function createEditorMetricTable(metric) {
+  const table = getRangeTable(metric.metric_id, editor.referenceSet);
+  const overrides = draft[metric.metric_id] || {};
+
+  const block = document.createElement('div');
+  block.className = 'range-editor-metric';
+
+  let rowsHTML = '';
+  for (const sex of Object.keys(SEX_LABELS)) {
+    const keys = [...new Set([...Object.keys(table[sex] || {}), ...Object.keys(overrides[sex] || {})])]
+      .filter(key => parseAgeBand(key))
+      .sort((a, b) => parseAgeBand(a)[0] - parseAgeBand(b)[0] || parseAgeBand(a)[1] - parseAgeBand(b)[1]);
+
+    for (const key of keys) {
+      const band = overrides[sex]?.[key] || table[sex]?.[key];
+      rowsHTML += `
+        <tr class="range-editor-row" data-metric-id="${metric.metric_id}" data-sex="${sex}" data-band="${key}">
+          <td class="range-editor-sex">${SEX_LABELS[sex]}</td>
+          <td class="range-editor-age">${key === 'all' ? 'Adults' : key}</td>
+          ${RANGE_TIERS.map(tier => getBoundInputsHTML(tier, band[tier])).join('')}
+          <td class="range-editor-reset"><button type="button" class="btn btn-text" title="Back to the default band">Reset</button></td>
+        </tr>
+        <tr class="range-editor-problems"><td colspan="6"></td></tr>
+      `;
+    }
+  }
+
+  block.innerHTML = `
+    <div class="range-editor-metric-header">
+      <span class="range-editor-metric-name">${metric.metric_name}</span>
+      <span class="range-editor-metric-meta">${table.unit || metric.unit || ''} · ${table.direction.replace('_', ' ')}</span>
+    </div>
+    <table>
+      <thead>
+        <tr><th>Sex</th><th>Age</th>${RANGE_TIERS.map(tier => `<th class="status-${tier}">${tier}</th>`).join('')}<th></th></tr>
+      </thead>
+      <tbody>${rowsHTML}</tbody>
+    </table>
+  `;
+
+  block.querySelectorAll('.range-editor-row').forEach(row => {
+    row.querySelectorAll('input').forEach(input => input.addEventListener('input', () => handleRowInput(row)));
+    row.querySelector('.range-editor-reset button').addEventListener('click', () => resetRow(row));
+    updateRowState(row);
+  });
+
+  return block;
+}
+
+function getBoundInputsHTML(tier, bounds) {
+  const input = end => `<input type="number" step="any" data-tier="${tier}" data-end="${end}" value="${bounds ? bounds[end] : ''}">`;
+  return `<td class="range-editor-bounds">${input(0)}<span>–</span>${input(1)}</td>`;
+}
+
+// ============================================
+// Draft Editing
+// ============================================
+
+/**
+ * Read a row's inputs into a band; tiers left blank are omitted
+ */
+function readRowBand(row) {
+  const band = {};
+  for (const tier of RANGE_TIERS) {
+    const values = [0, 1].map(end => row.querySelector(`input[data-tier="${tier}"][data-end="${end}"]`).value);
+    if (values.every(v => v === '')) continue;
+    band[tier] = values.map(v => parseFloat(v));
+  }
+  return band;
+}
+
+function getDefaultBand(row) {
+  const { metricId, sex, band } = row.dataset;
+  return getRangeTable(metricId, editor.referenceSet)[sex]?.[band] || null;
+}
+
+function sameBounds(band, other) {
+  if (!other) return false;
+  return RANGE_TIERS.every(tier => JSON.stringify(band[tier] || null) === JSON.stringify(other[tier] || null));
+}
+
+function handleRowInput(row) {
+  const { metricId, sex, band: key } = row.dataset;
+  const band = readRowBand(row);
+
+  if (sameBounds(band, getDefaultBand(row))) {
+    removeDraftBand(metricId, sex, key);
+  } else {
+    draft[metricId] = { ...draft[metricId], [sex]: { ...draft[metricId]?.[sex], [key]: { ...band, citation: CLINIC_CITATION } } };
+  }
+
+  updateRowState(row);
+  updateStatus();
+}
+
+function resetRow(row) {
+  const { metricId, sex, band: key } = row.dataset;
+  const defaults = getDefaultBand(row);
+  removeDraftBand(metricId, sex, key);
+
+  if (!defaults) {
+    // A band the defaults don't have; resetting removes it
+    row.nextElementSibling.remove();
+    row.remove();
+  } else {
+    row.querySelectorAll('input').forEach(input => {
+      const bounds = defaults[input.dataset.tier];
+      input.value = bounds ? bounds[input.dataset.end] : '';
+    });
+    updateRowState(row);
+  }
+  updateStatus();
+}
+
+function removeDraftBand(metricId, sex, key) {
+  if (!draft[metricId]?.[sex]?.[key]) return;
+
+  delete draft[metricId][sex][key];
+  if (Object.keys(draft[metricId][sex]).length === 0) delete draft[metricId][sex];
+  if (Object.keys(draft[metricId]).length === 0) delete draft[metricId];
+}
+
+function updateRowState(row) {
+  const { metricId, sex, band: key } = row.dataset;
+  const overridden = Boolean(draft[metricId]?.[sex]?.[key]);
+  const direction = getRangeTable(metricId, editor.referenceSet).direction;
+  const problems = overridden ? checkRangeBand(readRowBand(row), direction).map(p => p.message) : [];
+
+  row.classList.toggle('overridden', overridden);
+  row.classList.toggle('invalid', problems.length > 0);
+  row.nextElementSibling.querySelector('td').textContent = problems.join('; ');
+}
+
+function countBands(ranges) {
+  return Object.values(ranges).reduce((n, table) =>
+    n + Object.values(table).reduce((m, bands) => m + Object.keys(bands).length, 0), 0);
+}
+
+function updateStatus(message = null) {
+  const status = editor.container.querySelector('.range-editor-status');
+  if (!status) return;
+
+  if (message) {
+    status.textContent = message;
+    return;
+  }
+
+  const saved = countBands(getClinicOverrides());
+  const unsaved = JSON.stringify(draft) !== JSON.stringify(getClinicOverrides());
+  status.textContent = `${saved} band${saved === 1 ? '' : 's'} overridden` +
+    (unsaved ? ` · unsaved changes (${countBands(draft)} in draft)` : '');
+  status.classList.toggle('unsaved', unsaved);
+}
+
+// ============================================
+// Save / Import
+// ============================================
+
+function saveDraft() {
+  const { errors } = validateClinicRanges(draft);
+  if (errors.length > 0) {
+    updateStatus(`Not saved: ${errors.length} problem${errors.length === 1 ? '' : 's'} — ${errors[0].path}: ${errors[0].message}`);
+    return;
+  }
+
+  if (!saveClinicRanges(draft)) {
+    updateStatus('Not saved: the overrides could not be stored');
+    return;
+  }
+  draft = null;
+  editor.onSave?.();
+  renderRangeEditor(editor.container, editor);
+}
+
+function handleImportFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    const { ranges, errors, warnings } = importClinicRangesJSON(reader.result);
+    if (!ranges) {
+      alert(['Could not import range overrides:', ...errors.map(i => `${i.path ? i.path + ': ' : ''}${i.message}`)].join('\n'));
+      return;
+    }
+
+    const notes = warnings.map(i => `${i.path}: ${i.message}`);
+    const question = `Replace the clinic's overrides with ${countBands(ranges)} bands from ${file.name}?`;
+    if (!confirm([question, ...notes].join('\n'))) return;
+
+    if (!saveClinicRanges(ranges)) {
+      alert('The imported overrides could not be stored');
+      return;
+    }
+    draft = null;
+    editor.onSave?.();
+    renderRangeEditor(editor.container, editor);
+  };
+  reader.onerror = () => alert('Could not read the file');
+  reader.readAsText(file);
+}
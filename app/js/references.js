@@ -3,8 +3,192 @@
  * 
  * Clinical reference ranges for each metric, organized by age and sex where relevant.
  * Sources: Mayo Clinic, Cleveland Clinic, AHA, CDC, Hopkins Medicine, clinical guidelines.
+ * 
+ * A metric may also carry `contexts`: ranges that replace the default ones when the
+ * measurement was taken in that context (e.g. non-fasting triglycerides). They use the
+ * same sex → age band layout as the metric itself.
+ * 
+ * Categorical and boolean metrics use `categories` instead of numeric ranges,
+ * mapping each recorded value to a status.
+ * 
+ * Age band keys are inclusive intervals in whole years: "60-69", "80+", or
+ * "all" for any adult (18+). Bands can be as fine as a metric needs; a person
+ * whose age no band covers gets no range rather than the nearest one.
+ * 
+ * `citation` names the CITATIONS entry a range comes from. It can sit on a
+ * metric (all its bands) or on a single band; ranges without one fall back
+ * to their reference set's citation.
+ * 
+ * Neighbouring tiers share their edge value (optimal [90, 120], acceptable
+ * [120, 130]). `boundaries` on a metric or band says who owns it: "inclusive"
+ * (the default) gives the edge to the better tier, so 120 is optimal;
+ * "exclusive" gives it to the worse one, matching guidelines written as
+ * "normal < 120".
+ * 
+ * Metrics added by a schema extension bring their own ranges (see EXTENSION
+ * RANGES), used under every reference set.
+ * 
+ * Clinics can override individual bands (see CLINIC OVERRIDES); an override
+ * wins over the selected reference set for the default, non-context ranges.
+ * 
+ * `modifiers` hold ranges for a physiological state (PHYSIOLOGICAL_STATES
+ * in schema.js), keyed by the state's option, e.g. "pregnancy_t3", in the
+ * same sex → age band layout. A modifier range wins over everything else,
+ * contexts included: ranges written for pregnancy already assume the usual
+ * way of measuring.
+ * 
+ * Tables key sexes as "male", "female" or "any". A person recorded as
+ * neither is looked up under each of RANGE_SEXES (see getLookupSexes).
  */
 
+// ============================================
+// CITATIONS
+// ============================================
+
+export const CITATIONS = {
+  acc_aha_2017_bp: {
+    source: "2017 ACC/AHA Guideline for the Prevention, Detection, Evaluation, and Management of High Blood Pressure in Adults",
+    year: 2017,
+    guideline_id: "doi:10.1161/HYP.0000000000000065",
+    url: "https://doi.org/10.1161/HYP.0000000000000065",
+    notes: "Normal <120/<80 mmHg; elevated 120–129; stage 1 hypertension 130–139 or 80–89"
+  },
+  aha_acc_2018_cholesterol: {
+    source: "2018 AHA/ACC Guideline on the Management of Blood Cholesterol",
+    year: 2018,
+    guideline_id: "doi:10.1161/CIR.0000000000000625",
+    url: "https://doi.org/10.1161/CIR.0000000000000625",
+    notes: "LDL-C ≥130 mg/dL and triglycerides ≥150 mg/dL as risk enhancers; low HDL-C <40 (men) / <50 (women)"
+  },
+  esc_eas_2019_dyslipidaemia: {
+    source: "2019 ESC/EAS Guidelines for the Management of Dyslipidaemias",
+    year: 2019,
+    guideline_id: "doi:10.1093/eurheartj/ehz455",
+    url: "https://doi.org/10.1093/eurheartj/ehz455",
+    notes: "ApoB targets <100, <80 and <65 mg/dL for moderate, high and very-high risk"
+  },
+  ada_2024_diagnosis: {
+    source: "ADA Standards of Care in Diabetes—2024, 2. Diagnosis and Classification of Diabetes",
+    year: 2024,
+    guideline_id: "doi:10.2337/dc24-S002",
+    url: "https://doi.org/10.2337/dc24-S002",
+    notes: "Prediabetes: HbA1c 5.7–6.4%, fasting glucose 100–125 mg/dL"
+  },
+  aha_cdc_2003_crp: {
+    source: "AHA/CDC Scientific Statement: Markers of Inflammation and Cardiovascular Disease",
+    year: 2003,
+    guideline_id: "doi:10.1161/01.CIR.0000052939.46093.45",
+    url: "https://doi.org/10.1161/01.CIR.0000052939.46093.45",
+    notes: "hs-CRP <1 mg/L low, 1–3 average, >3 high cardiovascular risk"
+  },
+  ncep_atp3_2001: {
+    source: "NCEP Adult Treatment Panel III Executive Summary",
+    year: 2001,
+    guideline_id: "doi:10.1001/jama.285.19.2486",
+    url: "https://doi.org/10.1001/jama.285.19.2486",
+    notes: "Abdominal obesity: waist >102 cm (men), >88 cm (women)"
+  },
+  ashwell_2016_whtr: {
+    source: "Ashwell & Gibson, Waist-to-height ratio as an indicator of early health risk (BMJ Open)",
+    year: 2016,
+    guideline_id: "doi:10.1136/bmjopen-2015-010159",
+    url: "https://doi.org/10.1136/bmjopen-2015-010159",
+    notes: "Ratio ≥0.5 marks increased risk; bands here split 0.46–0.53 as a transition zone"
+  },
+  ewgsop2_2019: {
+    source: "EWGSOP2: Sarcopenia — revised European consensus on definition and diagnosis",
+    year: 2019,
+    guideline_id: "doi:10.1093/ageing/afy169",
+    url: "https://doi.org/10.1093/ageing/afy169",
+    notes: "Low grip strength <27 kg (men), <16 kg (women); bands above those cut-offs follow population norms"
+  },
+  acog_2020_gestational_hypertension: {
+    source: "ACOG Practice Bulletin No. 222: Gestational Hypertension and Preeclampsia",
+    year: 2020,
+    guideline_id: "doi:10.1097/AOG.0000000000003891",
+    url: "https://doi.org/10.1097/AOG.0000000000003891",
+    notes: "Hypertension in pregnancy ≥140/90 mmHg; severe range ≥160/110"
+  },
+  loerup_2019_pregnancy_hr: {
+    source: "Loerup et al., Trends of blood pressure and heart rate in normal pregnancies: a systematic review and meta-analysis (BMC Medicine)",
+    year: 2019,
+    guideline_id: "doi:10.1186/s12916-019-1399-1",
+    url: "https://doi.org/10.1186/s12916-019-1399-1",
+    notes: "Resting heart rate rises through pregnancy, peaking around 12 bpm above pre-pregnancy in the third trimester"
+  },
+  abbassi_ghanavati_2009_pregnancy_labs: {
+    source: "Abbassi-Ghanavati, Greer & Cunningham, Pregnancy and laboratory studies: a reference table for clinicians (Obstetrics & Gynecology)",
+    year: 2009,
+    guideline_id: "doi:10.1097/AOG.0b013e3181c2bde8",
+    url: "https://doi.org/10.1097/AOG.0b013e3181c2bde8",
+    notes: "Triglycerides 40–159, 75–382 and 131–453 mg/dL and LDL-C 60–153, 77–184 and 101–224 mg/dL by trimester"
+  },
+  ata_2017_thyroid_pregnancy: {
+    source: "2017 ATA Guidelines for the Diagnosis and Management of Thyroid Disease During Pregnancy and the Postpartum",
+    year: 2017,
+    guideline_id: "doi:10.1089/thy.2016.0457",
+    url: "https://doi.org/10.1089/thy.2016.0457",
+    notes: "Without trimester-specific local ranges, take about 4.0 mU/L as the upper TSH limit; TSH is lowest in the first trimester"
+  },
+  baker_2020_cycle_temperature: {
+    source: "Baker, Siboza & Fuller, Temperature regulation in women: effects of the menstrual cycle (Temperature)",
+    year: 2020,
+    guideline_id: "doi:10.1080/23328940.2020.1735927",
+    url: "https://doi.org/10.1080/23328940.2020.1735927",
+    notes: "Core and basal temperature run 0.3–0.7 °C higher in the luteal phase"
+  },
+  harlow_2012_straw10: {
+    source: "Executive summary of the Stages of Reproductive Aging Workshop + 10 (STRAW+10)",
+    year: 2012,
+    guideline_id: "doi:10.1097/gme.0b013e31824d8f40",
+    url: "https://doi.org/10.1097/gme.0b013e31824d8f40",
+    notes: "Menopausal transition: cycle length varying by 7 days or more, later gaps of 60 days or more"
+  },
+  clinic_working_ranges: {
+    source: "Clinic working ranges",
+    year: null,
+    guideline_id: null,
+    url: null,
+    notes: "Compiled from patient-facing references (Mayo Clinic, Cleveland Clinic, Johns Hopkins Medicine) and published wearable data; not tied to a single guideline"
+  },
+  clinic_longevity_targets: {
+    source: "Clinic longevity-optimal targets",
+    year: null,
+    guideline_id: null,
+    url: null,
+    notes: "Stricter than guideline thresholds, aimed at long-term risk; clinic consensus rather than a published guideline"
+  },
+  clinic_override: {
+    source: "Clinic override",
+    year: null,
+    guideline_id: null,
+    url: null,
+    notes: "Edited by the clinic in the reference range editor; replaces the band from the selected reference set"
+  }
+};
+
+// ============================================
+// REFERENCE RANGES
+// ============================================
+
+/**
+ * Blood pressure in pregnancy and postpartum, shared by every trimester
+ */
+const PREGNANCY_BP = {
+  systolic: {
+    citation: "acog_2020_gestational_hypertension",
+    female: {
+      "all": { optimal: [90, 120], acceptable: [120, 140], concerning: [140, 180] }
+    }
+  },
+  diastolic: {
+    citation: "acog_2020_gestational_hypertension",
+    female: {
+      "all": { optimal: [60, 80], acceptable: [80, 90], concerning: [90, 120] }
+    }
+  }
+};
+
 export const REFERENCE_RANGES = {
   
   // ============================================
@@ -14,6 +198,8 @@ export const REFERENCE_RANGES = {
   bp_resting_systolic: {
     unit: "mmHg",
     direction: "lower_better",
+    citation: "acc_aha_2017_bp",
+    boundaries: "exclusive",
     male: {
       "18-39": { optimal: [90, 120], acceptable: [120, 130], concerning: [130, 180] },
       "40-59": { optimal: [90, 120], acceptable: [120, 135], concerning: [135, 180] },
@@ -23,12 +209,20 @@ export const REFERENCE_RANGES = {
       "18-39": { optimal: [90, 120], acceptable: [120, 130], concerning: [130, 180] },
       "40-59": { optimal: [90, 120], acceptable: [120, 135], concerning: [135, 180] },
       "60+":   { optimal: [90, 125], acceptable: [125, 140], concerning: [140, 180] }
+    },
+    modifiers: {
+      pregnancy_t1: PREGNANCY_BP.systolic,
+      pregnancy_t2: PREGNANCY_BP.systolic,
+      pregnancy_t3: PREGNANCY_BP.systolic,
+      postpartum: PREGNANCY_BP.systolic
     }
   },
   
   bp_resting_diastolic: {
     unit: "mmHg",
     direction: "lower_better",
+    citation: "acc_aha_2017_bp",
+    boundaries: "exclusive",
     male: {
       "18-39": { optimal: [60, 80], acceptable: [80, 85], concerning: [85, 120] },
       "40-59": { optimal: [60, 80], acceptable: [80, 90], concerning: [90, 120] },
@@ -38,6 +232,12 @@ export const REFERENCE_RANGES = {
       "18-39": { optimal: [60, 80], acceptable: [80, 85], concerning: [85, 120] },
       "40-59": { optimal: [60, 80], acceptable: [80, 90], concerning: [90, 120] },
       "60+":   { optimal: [60, 80], acceptable: [80, 90], concerning: [90, 120] }
+    },
+    modifiers: {
+      pregnancy_t1: PREGNANCY_BP.diastolic,
+      pregnancy_t2: PREGNANCY_BP.diastolic,
+      pregnancy_t3: PREGNANCY_BP.diastolic,
+      postpartum: PREGNANCY_BP.diastolic
     }
   },
   
@@ -45,15 +245,38 @@ export const REFERENCE_RANGES = {
     unit: "bpm",
     direction: "lower_better",
     any: {
+      "6-11":  { optimal: [65, 95], acceptable: [95, 110], concerning: [110, 130] },
+      "12-17": { optimal: [55, 80], acceptable: [80, 95], concerning: [95, 110] },
       "18-39": { optimal: [45, 65], acceptable: [65, 80], concerning: [80, 100] },
       "40-59": { optimal: [50, 68], acceptable: [68, 82], concerning: [82, 100] },
       "60+":   { optimal: [50, 70], acceptable: [70, 85], concerning: [85, 100] }
+    },
+    modifiers: {
+      pregnancy_t1: {
+        citation: "loerup_2019_pregnancy_hr",
+        female: {
+          "all": { optimal: [50, 75], acceptable: [75, 90], concerning: [90, 110] }
+        }
+      },
+      pregnancy_t2: {
+        citation: "loerup_2019_pregnancy_hr",
+        female: {
+          "all": { optimal: [55, 82], acceptable: [82, 97], concerning: [97, 115] }
+        }
+      },
+      pregnancy_t3: {
+        citation: "loerup_2019_pregnancy_hr",
+        female: {
+          "all": { optimal: [58, 85], acceptable: [85, 100], concerning: [100, 120] }
+        }
+      }
     }
   },
   
   apob: {
     unit: "mg/dL",
     direction: "lower_better",
+    citation: "esc_eas_2019_dyslipidaemia",
     any: {
       "all": { optimal: [40, 80], acceptable: [80, 100], concerning: [100, 200] }
     }
@@ -62,22 +285,72 @@ export const REFERENCE_RANGES = {
   ldl_c: {
     unit: "mg/dL",
     direction: "lower_better",
+    citation: "aha_acc_2018_cholesterol",
     any: {
       "all": { optimal: [40, 100], acceptable: [100, 130], concerning: [130, 250] }
+    },
+    modifiers: {
+      pregnancy_t1: {
+        citation: "abbassi_ghanavati_2009_pregnancy_labs",
+        female: {
+          "all": { optimal: [40, 110], acceptable: [110, 153], concerning: [153, 250] }
+        }
+      },
+      pregnancy_t2: {
+        citation: "abbassi_ghanavati_2009_pregnancy_labs",
+        female: {
+          "all": { optimal: [40, 135], acceptable: [135, 184], concerning: [184, 280] }
+        }
+      },
+      pregnancy_t3: {
+        citation: "abbassi_ghanavati_2009_pregnancy_labs",
+        female: {
+          "all": { optimal: [40, 165], acceptable: [165, 224], concerning: [224, 320] }
+        }
+      }
     }
   },
   
   triglycerides: {
     unit: "mg/dL",
     direction: "lower_better",
+    citation: "aha_acc_2018_cholesterol",
     any: {
       "all": { optimal: [40, 100], acceptable: [100, 150], concerning: [150, 500] }
+    },
+    contexts: {
+      non_fasting: {
+        any: {
+          "all": { optimal: [40, 130], acceptable: [130, 175], concerning: [175, 500] }
+        }
+      }
+    },
+    modifiers: {
+      pregnancy_t1: {
+        citation: "abbassi_ghanavati_2009_pregnancy_labs",
+        female: {
+          "all": { optimal: [40, 120], acceptable: [120, 160], concerning: [160, 500] }
+        }
+      },
+      pregnancy_t2: {
+        citation: "abbassi_ghanavati_2009_pregnancy_labs",
+        female: {
+          "all": { optimal: [40, 250], acceptable: [250, 380], concerning: [380, 700] }
+        }
+      },
+      pregnancy_t3: {
+        citation: "abbassi_ghanavati_2009_pregnancy_labs",
+        female: {
+          "all": { optimal: [40, 320], acceptable: [320, 450], concerning: [450, 800] }
+        }
+      }
     }
   },
   
   hdl_c: {
     unit: "mg/dL",
     direction: "higher_better",
+    citation: "aha_acc_2018_cholesterol",
     male: {
       "all": { optimal: [60, 100], acceptable: [40, 60], concerning: [20, 40] }
     },
@@ -134,7 +407,7 @@ export const REFERENCE_RANGES = {
   
   orthostatic_bp_delta: {
     unit: "mmHg delta",
-    direction: "lower_better",
+    direction: "higher_better",
     any: {
       "all": { optimal: [-10, 10], acceptable: [-20, -10], concerning: [-40, -20] }
     }
@@ -147,6 +420,7 @@ export const REFERENCE_RANGES = {
   hba1c: {
     unit: "%",
     direction: "lower_better",
+    citation: "ada_2024_diagnosis",
     any: {
       "all": { optimal: [4.0, 5.4], acceptable: [5.4, 5.7], concerning: [5.7, 10.0] }
     }
@@ -155,8 +429,16 @@ export const REFERENCE_RANGES = {
   fasting_glucose: {
     unit: "mg/dL",
     direction: "lower_better",
+    citation: "ada_2024_diagnosis",
     any: {
       "all": { optimal: [70, 90], acceptable: [90, 100], concerning: [100, 200] }
+    },
+    contexts: {
+      non_fasting: {
+        any: {
+          "all": { optimal: [70, 120], acceptable: [120, 140], concerning: [140, 250], citation: "clinic_working_ranges" }
+        }
+      }
     }
   },
   
@@ -179,6 +461,7 @@ export const REFERENCE_RANGES = {
   waist_circumference: {
     unit: "cm",
     direction: "lower_better",
+    citation: "ncep_atp3_2001",
     male: {
       "all": { optimal: [60, 90], acceptable: [90, 102], concerning: [102, 150] }
     },
@@ -190,6 +473,7 @@ export const REFERENCE_RANGES = {
   waist_to_height: {
     unit: "ratio",
     direction: "lower_better",
+    citation: "ashwell_2016_whtr",
     any: {
       "all": { optimal: [0.35, 0.46], acceptable: [0.46, 0.53], concerning: [0.53, 0.80] }
     }
@@ -206,8 +490,16 @@ export const REFERENCE_RANGES = {
   triglycerides_met: {
     unit: "mg/dL",
     direction: "lower_better",
+    citation: "aha_acc_2018_cholesterol",
     any: {
       "all": { optimal: [40, 100], acceptable: [100, 150], concerning: [150, 500] }
+    },
+    contexts: {
+      non_fasting: {
+        any: {
+          "all": { optimal: [40, 130], acceptable: [130, 175], concerning: [175, 500] }
+        }
+      }
     }
   },
   
@@ -226,6 +518,7 @@ export const REFERENCE_RANGES = {
   hs_crp: {
     unit: "mg/L",
     direction: "lower_better",
+    citation: "aha_cdc_2003_crp",
     any: {
       "all": { optimal: [0, 1.0], acceptable: [1.0, 3.0], concerning: [3.0, 20.0] }
     }
@@ -342,6 +635,26 @@ export const REFERENCE_RANGES = {
     direction: "in_range",
     any: {
       "all": { optimal: [0.5, 2.5], acceptable: [0.4, 4.0], concerning: [0, 0.4] }
+    },
+    modifiers: {
+      pregnancy_t1: {
+        citation: "ata_2017_thyroid_pregnancy",
+        female: {
+          "all": { optimal: [0.1, 2.5], acceptable: [0.05, 4.0], concerning: [0, 0.05] }
+        }
+      },
+      pregnancy_t2: {
+        citation: "ata_2017_thyroid_pregnancy",
+        female: {
+          "all": { optimal: [0.2, 3.0], acceptable: [0.1, 4.0], concerning: [0, 0.1] }
+        }
+      },
+      pregnancy_t3: {
+        citation: "ata_2017_thyroid_pregnancy",
+        female: {
+          "all": { optimal: [0.3, 3.0], acceptable: [0.2, 4.0], concerning: [0, 0.2] }
+        }
+      }
     }
   },
   
@@ -358,6 +671,14 @@ export const REFERENCE_RANGES = {
     direction: "in_range",
     any: {
       "all": { optimal: [36.4, 36.8], acceptable: [36.0, 37.2], concerning: [35.0, 36.0] }
+    },
+    modifiers: {
+      luteal: {
+        citation: "baker_2020_cycle_temperature",
+        female: {
+          "all": { optimal: [36.7, 37.1], acceptable: [36.3, 37.5], concerning: [35.0, 36.3] }
+        }
+      }
     }
   },
   
@@ -379,13 +700,7 @@ export const REFERENCE_RANGES = {
     }
   },
   
-  cortisol_optional: {
-    unit: "varies",
-    direction: "in_range",
-    any: {
-      "all": { optimal: null, acceptable: null, concerning: null }
-    }
-  },
+  // cortisol_optional: no range, it depends on the assay and time of day
   
   testosterone_optional: {
     unit: "ng/dL",
@@ -405,6 +720,14 @@ export const REFERENCE_RANGES = {
     direction: "in_range",
     female: {
       "all": { optimal: [24, 35], acceptable: [21, 40], concerning: [0, 21] }
+    },
+    modifiers: {
+      perimenopausal: {
+        citation: "harlow_2012_straw10",
+        female: {
+          "all": { optimal: [21, 40], acceptable: [18, 60], concerning: [0, 18] }
+        }
+      }
     }
   },
   
@@ -415,15 +738,20 @@ export const REFERENCE_RANGES = {
   grip_strength: {
     unit: "kg",
     direction: "higher_better",
+    // From 60 the concerning edge is the EWGSOP2 sarcopenia cut-off
     male: {
       "18-39": { optimal: [45, 70], acceptable: [35, 45], concerning: [0, 35] },
       "40-59": { optimal: [40, 65], acceptable: [30, 40], concerning: [0, 30] },
-      "60+":   { optimal: [32, 55], acceptable: [25, 32], concerning: [0, 25] }
+      "60-69": { optimal: [36, 55], acceptable: [27, 36], concerning: [0, 27], citation: "ewgsop2_2019" },
+      "70-79": { optimal: [32, 50], acceptable: [27, 32], concerning: [0, 27], citation: "ewgsop2_2019" },
+      "80+":   { optimal: [30, 45], acceptable: [27, 30], concerning: [0, 27], citation: "ewgsop2_2019" }
     },
     female: {
       "18-39": { optimal: [28, 45], acceptable: [22, 28], concerning: [0, 22] },
       "40-59": { optimal: [25, 40], acceptable: [20, 25], concerning: [0, 20] },
-      "60+":   { optimal: [20, 35], acceptable: [15, 20], concerning: [0, 15] }
+      "60-69": { optimal: [22, 35], acceptable: [16, 22], concerning: [0, 16], citation: "ewgsop2_2019" },
+      "70-79": { optimal: [20, 32], acceptable: [16, 20], concerning: [0, 16], citation: "ewgsop2_2019" },
+      "80+":   { optimal: [18, 28], acceptable: [16, 18], concerning: [0, 16], citation: "ewgsop2_2019" }
     }
   },
   
@@ -446,7 +774,7 @@ export const REFERENCE_RANGES = {
     unit: "pass/limit",
     direction: "categorical",
     any: {
-      "all": { optimal: null, acceptable: null, concerning: null }
+      "all": { categories: { pass: "optimal", limited: "acceptable", fail: "concerning" } }
     }
   },
   
@@ -496,84 +824,568 @@ export const REFERENCE_RANGES = {
 };
 
 
+// ============================================
+// REFERENCE SETS
+// ============================================
+
 /**
- * Get age band for a given age
+ * Stricter targets used by longevity-focused practices
+ * Each entry is merged over the conventional table for that metric, so
+ * anything not restated here (direction, contexts, other sexes) carries over.
  */
-export function getAgeBand(age) {
-  if (!age || age < 18) return "18-39";
-  if (age < 40) return "18-39";
-  if (age < 60) return "40-59";
-  return "60+";
+const LONGEVITY_OPTIMAL_RANGES = {
+  bp_resting_systolic: {
+    male: {
+      "all": { optimal: [90, 115], acceptable: [115, 125], concerning: [125, 180] }
+    },
+    female: {
+      "all": { optimal: [90, 115], acceptable: [115, 125], concerning: [125, 180] }
+    }
+  },
+  
+  apob: {
+    any: {
+      "all": { optimal: [30, 60], acceptable: [60, 80], concerning: [80, 200] }
+    }
+  },
+  
+  ldl_c: {
+    any: {
+      "all": { optimal: [30, 70], acceptable: [70, 100], concerning: [100, 250] }
+    }
+  },
+  
+  triglycerides: {
+    any: {
+      "all": { optimal: [40, 80], acceptable: [80, 120], concerning: [120, 500] }
+    },
+    contexts: {
+      non_fasting: {
+        any: {
+          "all": { optimal: [40, 100], acceptable: [100, 150], concerning: [150, 500] }
+        }
+      }
+    }
+  },
+  
+  hba1c: {
+    any: {
+      "all": { optimal: [4.0, 5.2], acceptable: [5.2, 5.6], concerning: [5.6, 10.0] }
+    }
+  },
+  
+  fasting_glucose: {
+    any: {
+      "all": { optimal: [70, 85], acceptable: [85, 95], concerning: [95, 200] }
+    }
+  },
+  
+  hs_crp: {
+    any: {
+      "all": { optimal: [0, 0.5], acceptable: [0.5, 1.0], concerning: [1.0, 20.0] }
+    }
+  }
+};
+
+/**
+ * Named range sets an evaluation can be classified against
+ * A set either has its own `ranges` or overlays `overrides` on a `base` set.
+ */
+export const REFERENCE_SETS = {
+  conventional: {
+    id: "conventional",
+    name: "Conventional clinical guidelines",
+    version: "1.0",
+    description: "Population reference intervals and guideline thresholds (AHA, ADA, CDC, Mayo Clinic)",
+    citation: "clinic_working_ranges",
+    ranges: REFERENCE_RANGES
+  },
+  
+  longevity_optimal: {
+    id: "longevity_optimal",
+    name: "Longevity-optimal",
+    version: "1.0",
+    description: "Tighter cardiometabolic and inflammation targets aimed at long-term risk rather than current disease",
+    base: "conventional",
+    citation: "clinic_longevity_targets",
+    overrides: LONGEVITY_OPTIMAL_RANGES
+  }
+};
+
+export const DEFAULT_REFERENCE_SET = "conventional";
+
+/**
+ * Get a reference set by id, falling back to the default set
+ */
+export function getReferenceSet(setId) {
+  return REFERENCE_SETS[setId] || REFERENCE_SETS[DEFAULT_REFERENCE_SET];
 }
 
 /**
- * Get reference range for a metric given age and sex
+ * Get the set that actually supplies a metric's ranges under `setId`
+ * For an overlay set this is the base set unless the metric is overridden.
  */
-export function getReferenceRange(metricId, age, sex) {
-  const ranges = REFERENCE_RANGES[metricId];
-  if (!ranges) return null;
+export function getRangeSource(metricId, setId = DEFAULT_REFERENCE_SET) {
+  let set = getReferenceSet(setId);
+  while (set) {
+    if (set.overrides?.[metricId] || set.ranges?.[metricId]) return set;
+    set = set.base ? REFERENCE_SETS[set.base] : null;
+  }
+  return extensionSet?.ranges[metricId] ? extensionSet : null;
+}
+
+/**
+ * Get a metric's range table under a reference set
+ */
+export function getRangeTable(metricId, setId = DEFAULT_REFERENCE_SET) {
+  const set = getReferenceSet(setId);
+  const base = set.base ? getRangeTable(metricId, set.base) : set.ranges[metricId] || extensionSet?.ranges[metricId];
+  const override = set.overrides?.[metricId];
+  if (!override) return base || null;
+  return { ...base, ...override };
+}
+
+// ============================================
+// EXTENSION RANGES
+// ============================================
+
+/**
+ * Ranges for the metrics a schema extension adds (see installSchemaExtension
+ * in schema.js), held as a reference set of their own:
+ *   { id, name, version, citation, ranges, citations }
+ * with `ranges` in the REFERENCE_RANGES layout and `citations` the
+ * extension's own CITATIONS entries. Every set falls back to it for metrics
+ * it has no table for.
+ */
+let extensionSet = null;
+
+export function getExtensionSet() {
+  return extensionSet;
+}
+
+export function setExtensionSet(set) {
+  extensionSet = set;
+}
+
+// ============================================
+// CLINIC OVERRIDES
+// ============================================
+
+/**
+ * Bands a clinic has edited in the range editor
+ * Same metric → sex → age band layout as REFERENCE_RANGES, holding only the
+ * edited bands, each cited as "clinic_override". The layer sits on top of
+ * whichever reference set is selected. state.js loads and saves it.
+ */
+let clinicOverrides = {};
+
+export function getClinicOverrides() {
+  return clinicOverrides;
+}
+
+export function setClinicOverrides(overrides) {
+  clinicOverrides = overrides || {};
+}
+
+export const RANGE_TIERS = ["optimal", "acceptable", "concerning"];
+
+/**
+ * Check one band's tiers against each other and the metric's direction
+ * Returns [{ kind, message }], kind being "missing", "inverted", "gap",
+ * "overlap" or "direction"; empty when the band is consistent.
+ * 
+ * Tiers are walked outwards: acceptable has to adjoin or enclose optimal,
+ * concerning has to adjoin or enclose both. Enclosing is fine (in_range
+ * metrics widen on both sides); overlapping part of the inner tiers, or
+ * lying entirely inside them, isn't. Worse tiers must extend upwards for
+ * lower_better metrics and downwards for higher_better ones.
+ */
+export function checkRangeBand(band, direction) {
+  const problems = [];
+  const problem = (kind, message) => problems.push({ kind, message });
+  
+  for (const tier of RANGE_TIERS) {
+    const bounds = band[tier];
+    if (bounds === undefined || bounds === null) {
+      if (tier === "optimal") problem("missing", "Optimal range is required");
+      continue;
+    }
+    if (!Array.isArray(bounds) || bounds.length !== 2 || !bounds.every(Number.isFinite)) {
+      problem("missing", `${capitalize(tier)} range needs a lower and an upper bound`);
+    } else if (bounds[0] > bounds[1]) {
+      problem("inverted", `${capitalize(tier)} range ${formatBounds(bounds)}: lower bound is above the upper bound`);
+    }
+  }
+  if (problems.length > 0) return problems;
+  
+  let inner = band.optimal;
+  for (const tier of ["acceptable", "concerning"]) {
+    const bounds = band[tier];
+    if (!bounds) continue;
+    
+    const [low, high] = bounds;
+    const label = `${capitalize(tier)} range ${formatBounds(bounds)}`;
+    const within = value => value > inner[0] && value < inner[1];
+    
+    if (low > inner[1] || high < inner[0]) {
+      problem("gap", `${label} leaves a gap after ${formatBounds(inner)}; it should start where the range inside it ends`);
+    } else if (low >= inner[0] && high <= inner[1]) {
+      problem("overlap", `${label} lies inside ${formatBounds(inner)}, so it never applies`);
+    } else if (within(low) || within(high)) {
+      problem("overlap", `${label} overlaps ${formatBounds(inner)}`);
+    } else if (direction === "lower_better" && high <= inner[1]) {
+      problem("direction", `${label} sits below ${formatBounds(inner)}, but lower is better`);
+    } else if (direction === "higher_better" && low >= inner[0]) {
+      problem("direction", `${label} sits above ${formatBounds(inner)}, but higher is better`);
+    }
+    inner = [Math.min(inner[0], low), Math.max(inner[1], high)];
+  }
+  
+  return problems;
+}
+
+function formatBounds(bounds) {
+  return `[${bounds[0]}, ${bounds[1]}]`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// ============================================
+// LOOKUP
+// ============================================
+
+/**
+ * Age from which "all" bands apply; ranges for children need explicit bands
+ */
+export const ADULT_AGE = 18;
+
+/**
+ * Parse an age band key into an inclusive [min, max] interval in years
+ * "40-59" → [40, 59], "80+" → [80, Infinity], "all" → adults
+ * Returns null for keys that aren't age bands.
+ */
+export function parseAgeBand(key) {
+  if (key === "all") return [ADULT_AGE, Infinity];
+  
+  const openEnded = key.match(/^(\d+)\+$/);
+  if (openEnded) return [Number(openEnded[1]), Infinity];
   
-  const ageBand = getAgeBand(age);
+  const interval = key.match(/^(\d+)-(\d+)$/);
+  if (interval) return [Number(interval[1]), Number(interval[2])];
   
-  // Try sex-specific ranges first
-  if (ranges[sex] && ranges[sex][ageBand]) {
-    return ranges[sex][ageBand];
+  return null;
+}
+
+/**
+ * Get the band key in one age → range table that covers an age
+ * Ages are whole years, so "18-39" runs until the 40th birthday. When
+ * several bands cover the age the narrowest wins, so "all" is a fallback.
+ */
+export function getAgeBand(bands, age) {
+  if (!bands || age === null || age === undefined || age === "") return null;
+  
+  let best = null;
+  let bestWidth = Infinity;
+  for (const key of Object.keys(bands)) {
+    const interval = parseAgeBand(key);
+    if (!interval || age < interval[0] || age >= interval[1] + 1) continue;
+    
+    const width = interval[1] - interval[0];
+    if (best === null || width < bestWidth) {
+      best = key;
+      bestWidth = width;
+    }
   }
-  if (ranges[sex] && ranges[sex]["all"]) {
-    return ranges[sex]["all"];
+  return best;
+}
+
+/**
+ * Find the range for age and sex within one sex → age band table
+ * Sex-specific bands are tried before "any".
+ */
+function findBandRange(table, age, sex) {
+  for (const bands of [table[sex], table.any]) {
+    const band = getAgeBand(bands, age);
+    if (band) return bands[band];
   }
+  return null;
+}
+
+/**
+ * Sexes a metric's ranges are looked up under for a person
+ * Male and female are looked up as themselves. Anyone else (unspecified,
+ * other, or not recorded) gets every sex the metric has specific bands for
+ * in any of its layers; metrics with only "any" bands need one lookup.
+ */
+export const RANGE_SEXES = ["male", "female"];
+
+export function getLookupSexes(metricId, sex, referenceSet = DEFAULT_REFERENCE_SET) {
+  if (RANGE_SEXES.includes(sex)) return [sex];
   
-  // Fall back to "any" sex ranges
-  if (ranges.any && ranges.any[ageBand]) {
-    return ranges.any[ageBand];
-  }
-  if (ranges.any && ranges.any["all"]) {
-    return ranges.any["all"];
+  const ranges = getRangeTable(metricId, referenceSet);
+  const tables = [ranges, ...Object.values(ranges?.contexts || {}), ...Object.values(ranges?.modifiers || {}), clinicOverrides[metricId]].filter(Boolean);
+  const specific = RANGE_SEXES.some(s => tables.some(table => table[s]));
+  return specific ? RANGE_SEXES : [sex];
+}
+
+/**
+ * Describe why a metric with reference ranges has none for this person
+ * e.g. "No reference range for age 12 (covers 18+)". Returns null when a
+ * range applies, or when the metric has no ranges at all.
+ */
+export function getReferenceGap(metricId, age, sex, options = {}) {
+  const ranges = getRangeTable(metricId, options.referenceSet);
+  if (!ranges || getReferenceRange(metricId, age, sex, options)) return null;
+  
+  if (age === null || age === undefined || age === "") {
+    return "Age needed to pick a reference range";
   }
   
+  const keys = [...new Set([...Object.keys(ranges[sex] || {}), ...Object.keys(ranges.any || {})])];
+  const covered = keys
+    .map(key => parseAgeBand(key))
+    .filter(Boolean)
+    .sort((a, b) => a[0] - b[0])
+    .map(([min, max]) => max === Infinity ? `${min}+` : `${min}–${max}`);
+  
+  if (covered.length === 0) {
+    return "No reference range for this sex";
+  }
+  return `No reference range for age ${age} (covers ${covered.join(", ")})`;
+}
+
+/**
+ * Get the context a metric's range is actually adjusted for, if any
+ */
+export function getAppliedContext(metricId, context, referenceSet = DEFAULT_REFERENCE_SET) {
+  const ranges = getRangeTable(metricId, referenceSet);
+  if (!ranges || !context || !ranges.contexts || !ranges.contexts[context]) return null;
+  return context;
+}
+
+/**
+ * Find the range for the first of a person's modifiers the table has one for
+ * Returns { modifier, table, range } or null.
+ */
+function findModifierRange(ranges, age, sex, modifiers) {
+  for (const modifier of modifiers) {
+    const table = ranges.modifiers?.[modifier];
+    const range = table ? findBandRange(table, age, sex) : null;
+    if (range) return { modifier, table, range };
+  }
   return null;
 }
 
 /**
- * Get reference status for a value
- * Returns: "optimal" | "acceptable" | "outside_range" | "concerning" | "no_reference" | "not_entered"
+ * Get the physiological state whose range a person is classified against
+ * Returns the modifier id (e.g. "pregnancy_t2"), or null when no modifier
+ * range applies and the usual one is used.
+ */
+export function getAppliedModifier(metricId, age, sex, { modifiers = [], referenceSet = DEFAULT_REFERENCE_SET } = {}) {
+  const ranges = getRangeTable(metricId, referenceSet);
+  if (!ranges) return null;
+  return findModifierRange(ranges, age, sex, modifiers)?.modifier ?? null;
+}
+
+/**
+ * Get reference range for a metric given age and sex
+ * A range for one of the person's modifiers (physiological states, in order)
+ * comes first, then a measurement context with its own ranges, then a clinic
+ * override, then the reference set's band
+ */
+export function getReferenceRange(metricId, age, sex, { context = null, referenceSet = DEFAULT_REFERENCE_SET, modifiers = [] } = {}) {
+  const ranges = getRangeTable(metricId, referenceSet);
+  if (!ranges) return null;
+  
+  const modifierRange = findModifierRange(ranges, age, sex, modifiers);
+  if (modifierRange) return modifierRange.range;
+  
+  const appliedContext = getAppliedContext(metricId, context, referenceSet);
+  if (appliedContext) {
+    const contextRange = findBandRange(ranges.contexts[appliedContext], age, sex);
+    if (contextRange) return contextRange;
+  }
+  
+  const override = clinicOverrides[metricId] ? findBandRange(clinicOverrides[metricId], age, sex) : null;
+  if (override) return override;
+  
+  return findBandRange(ranges, age, sex);
+}
+
+/**
+ * Classify a value against its reference range
+ * Returns { status, deviation } where deviation is "low" or "high" when the
+ * value sits below or above the optimal range, and null otherwise.
+ * 
+ * The metric's `direction` decides what lies past the ends of the scale:
+ * beyond the concerning band on the unfavourable side (e.g. LDL above 250)
+ * is still concerning, while the favourable side, which the tables don't
+ * describe, is outside_range. in_range metrics have no favourable side, so
+ * past either end (TSH 10, 13 h of sleep) is concerning.
  */
-export function getReferenceStatus(metricId, value, age, sex) {
+export function classifyValue(metricId, value, age, sex, options = {}) {
   if (value === null || value === undefined || value === "") {
-    return "not_entered";
+    return { status: "not_entered", deviation: null };
   }
   
-  const range = getReferenceRange(metricId, age, sex);
-  if (!range) return "no_reference";
+  const range = getReferenceRange(metricId, age, sex, options);
+  if (!range) return { status: "no_reference", deviation: null };
+  
+  // Categorical mapping (value → status)
+  if (range.categories) {
+    return { status: range.categories[String(value)] || "no_reference", deviation: null };
+  }
   
   const numValue = parseFloat(value);
-  if (isNaN(numValue)) return "no_reference";
+  if (isNaN(numValue)) return { status: "no_reference", deviation: null };
+  
+  const table = getRangeTable(metricId, options.referenceSet);
+  const exclusive = (range.boundaries || table?.boundaries) === "exclusive";
   
   // Check optimal first
-  if (range.optimal && numValue >= range.optimal[0] && numValue <= range.optimal[1]) {
-    return "optimal";
+  if (isInTier(range, "optimal", numValue, exclusive)) {
+    return { status: "optimal", deviation: null };
   }
   
+  const deviation = range.optimal ? (numValue < range.optimal[0] ? "low" : "high") : null;
+  
   // Check acceptable
-  if (range.acceptable && numValue >= range.acceptable[0] && numValue <= range.acceptable[1]) {
-    return "acceptable";
+  if (isInTier(range, "acceptable", numValue, exclusive)) {
+    return { status: "acceptable", deviation };
   }
   
   // Check concerning
-  if (range.concerning && numValue >= range.concerning[0] && numValue <= range.concerning[1]) {
-    return "concerning";
+  if (isInTier(range, "concerning", numValue, exclusive)) {
+    return { status: "concerning", deviation };
+  }
+  
+  // Past the end of the scale on the unfavourable side (either end for in_range)
+  const direction = table?.direction;
+  if ((direction === "lower_better" && deviation === "high") || (direction === "higher_better" && deviation === "low") || (direction === "in_range" && deviation)) {
+    return { status: "concerning", deviation };
   }
   
   // Outside all defined ranges
-  return "outside_range";
+  return { status: "outside_range", deviation };
+}
+
+/**
+ * Whether a value falls in one tier of a band
+ * With exclusive boundaries an edge the tier shares with a worse tier
+ * belongs to that worse tier.
+ */
+function isInTier(range, tier, value, exclusive) {
+  const bounds = range[tier];
+  if (!bounds || value < bounds[0] || value > bounds[1]) return false;
+  if (!exclusive || (value !== bounds[0] && value !== bounds[1])) return true;
+  
+  const worse = RANGE_TIERS.slice(RANGE_TIERS.indexOf(tier) + 1).map(t => range[t]).filter(Boolean);
+  return !worse.some(b => b[0] === value || b[1] === value);
+}
+
+/**
+ * Whether a value deviates on the side a lower_better or higher_better
+ * table counts as favourable, e.g. a low LDL-C or a high HRV
+ */
+export function isFavourableDeviation(metricId, deviation, setId = DEFAULT_REFERENCE_SET) {
+  const direction = getRangeTable(metricId, setId)?.direction;
+  return (direction === "lower_better" && deviation === "low") || (direction === "higher_better" && deviation === "high");
+}
+
+/**
+ * Get reference status for a value
+ * Returns: "optimal" | "acceptable" | "outside_range" | "concerning" | "no_reference" | "not_entered"
+ */
+export function getReferenceStatus(metricId, value, age, sex, options = {}) {
+  return classifyValue(metricId, value, age, sex, options).status;
+}
+
+/**
+ * Status → score for ranges without a numeric scale (categorical metrics)
+ */
+const STATUS_SCORES = { optimal: 0, acceptable: 0.5, concerning: 1, outside_range: 1 };
+
+/**
+ * Continuous position of a value in its range: 0 at the optimal center,
+ * 1 where concerning begins (and beyond). Returns null when there's no
+ * value or no reference.
+ * 
+ * Direction-aware: for lower_better metrics everything below the optimal
+ * center scores 0, past the optimal range included (higher_better mirrors
+ * this).
+ */
+export function getRangePosition(metricId, value, age, sex, options = {}) {
+  if (value === null || value === undefined || value === "") return null;
+  
+  const range = getReferenceRange(metricId, age, sex, options);
+  if (!range) return null;
+  
+  if (range.categories) {
+    return STATUS_SCORES[range.categories[String(value)]] ?? null;
+  }
+  
+  const numValue = parseFloat(value);
+  if (isNaN(numValue) || !range.optimal) return null;
+  
+  const [optLow, optHigh] = range.optimal;
+  const center = (optLow + optHigh) / 2;
+  const { acceptable, concerning } = range;
+  
+  // Where concerning starts on each side
+  const highEdge = acceptable && acceptable[1] > optHigh ? acceptable[1]
+    : concerning && concerning[0] >= optHigh ? concerning[0] : optHigh;
+  const lowEdge = acceptable && acceptable[0] < optLow ? acceptable[0]
+    : concerning && concerning[1] <= optLow ? concerning[1] : optLow;
+  
+  const direction = getRangeTable(metricId, options.referenceSet)?.direction;
+  const isHigh = numValue >= center;
+  const favourable = (direction === "lower_better" && !isHigh) || (direction === "higher_better" && isHigh);
+  
+  if (favourable) return 0;
+  
+  const span = isHigh ? highEdge - center : center - lowEdge;
+  const position = span > 0 ? Math.abs(numValue - center) / span : (numValue === center ? 0 : 1);
+  return Math.min(1, position);
 }
 
 /**
  * Get the range text for display
  */
-export function getRangeDisplayText(metricId, age, sex) {
-  const range = getReferenceRange(metricId, age, sex);
+export function getRangeDisplayText(metricId, age, sex, options = {}) {
+  const range = getReferenceRange(metricId, age, sex, options);
+  if (range && range.categories) {
+    const optimal = Object.keys(range.categories).filter(key => range.categories[key] === "optimal");
+    return optimal.length > 0 ? optimal.join(" / ") : null;
+  }
   if (!range || !range.optimal) return null;
   
   return `${range.optimal[0]}–${range.optimal[1]}`;
 }
+
+/**
+ * Get the citation for the range a person is classified against
+ * Band-level citations win over modifier-level ones, then metric-level ones,
+ * then the reference set's. Returns { id, source, year, guideline_id, url, notes } or null.
+ */
+export function getRangeCitation(metricId, age, sex, options = {}) {
+  const range = getReferenceRange(metricId, age, sex, options);
+  if (!range) return null;
+  
+  const source = getRangeSource(metricId, options.referenceSet);
+  const table = source.overrides?.[metricId] || source.ranges?.[metricId];
+  const modifier = findModifierRange(getRangeTable(metricId, options.referenceSet), age, sex, options.modifiers || []);
+  const id = range.citation || modifier?.table.citation || table?.citation || source.citation;
+  
+  const citation = CITATIONS[id] || extensionSet?.citations?.[id];
+  return citation ? { id, ...citation } : null;
+}
+
+/**
+ * One-line citation text, e.g. "2019 ESC/EAS Guidelines … (2019)"
+ */
+export function formatCitation(citation) {
+  if (!citation) return "";
+  return citation.year ? `${citation.source} (${citation.year})` : citation.source;
+}
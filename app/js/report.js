@@ -10,16 +10,50 @@
  * - Orientation and understanding, not alarm
  */
 
+import { BRANCHES, MEASUREMENT_CONTEXTS, PHYSIOLOGICAL_STATES, getAllMetrics, fetchJSON, validateShape } from './schema.js';
+import { formatCitation } from './references.js';
+import { SYSTEM_STATES, getStateReasons } from './system-states.js';
+import { formatMetricValue, formatMetricValueWithUnit, formatOriginalValue, formatDerivedInputs, formatDeviation, formatBaseline, formatBaselineSource, formatSexRanges, formatReferenceModifier, formatDriver, getWeightedShare, AGGREGATIONS } from './state.js';
+
 // ============================================
 // System State Descriptions (Non-diagnostic)
 // ============================================
 
 /**
  * Generate a brief, non-diagnostic description of each system's state
- * Based on completeness and status distribution
+ * Based on completeness and status distribution, naming the values that
+ * drive it
  */
 export function getSystemStateDescription(systemState) {
   const { summary } = systemState;
+  return [describeSummary(summary), describeDrivers(summary.drivers), describeLowConfidence(summary.confidence)]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Qualifier for statements resting on few or indirect measurements
+ */
+function describeLowConfidence(confidence) {
+  if (confidence?.level !== 'low') return '';
+  return `Confidence is low (${confidence.score}%): few or indirect measurements so far, so this reading is provisional.`;
+}
+
+const DRIVER_LIMIT = 3;
+
+/**
+ * e.g. "Driven mainly by HbA1c 7.2 % (very high) and LDL-C 165 mg/dL (high)."
+ */
+function describeDrivers(drivers = []) {
+  if (drivers.length === 0) return '';
+  
+  const names = drivers.slice(0, DRIVER_LIMIT).map(formatDriver);
+  const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+  const more = drivers.length > DRIVER_LIMIT ? `, with ${drivers.length - DRIVER_LIMIT} more` : '';
+  return drivers[0].effect === 'strain' ? `Driven mainly by ${list}${more}.` : `Supported by ${list}${more}.`;
+}
+
+function describeSummary(summary) {
   const { entered, optimal, acceptable, concerning, outside, completeness } = summary;
   
   if (entered === 0) {
@@ -55,35 +89,303 @@ export function getSystemStateDescription(systemState) {
 }
 
 /**
- * Get a stability-focused label for a system
+ * Get the label for a system's state (see system-states.js), with the
+ * reasons from the rules that set it
  */
 export function getSystemStabilityLabel(systemState) {
-  const { summary } = systemState;
-  const { entered, optimal, acceptable, concerning, outside } = summary;
-  
-  if (entered === 0) return null;
+  const state = SYSTEM_STATES[systemState.state];
+  if (!state) return null;
   
-  const attentionCount = concerning + outside;
-  const stableCount = optimal + acceptable;
-  const stableRatio = stableCount / entered;
-  
-  if (attentionCount === 0 && stableRatio === 1) {
-    return { label: "Stable", className: "stability-stable" };
+  return {
+    label: state.label,
+    className: `stability-${systemState.state}`,
+    description: state.description,
+    reasons: getStateReasons(systemState)
+  };
+}
+
+// ============================================
+// Report Rules
+// ============================================
+
+/**
+ * Patterns, interactions and guidance come from declarative rule files
+ * (report_rules.json, plus any named by `?rules=`). A rule is
+ *
+ *   { id, kind, when, text, category?, for_each?, fallback? }
+ *
+ * `kind` is pattern, interaction or guidance (which needs a `category`).
+ * `when` is a condition: { all: [...] } or { any: [...] } of conditions,
+ * or one that matches metrics, optionally narrowed to a `branch_id`,
+ * `observable_id` or `metric_id`:
+ *
+ *   { branch_id, status: ["concerning"], value: { min, max }, min_count, max_count }
+ *
+ * It holds when the number of metrics with one of the `status`es and a
+ * numeric value within `value` (canonical unit, inclusive) is at least
+ * `min_count` (default 1, or 0 given a `max_count`) and at most
+ * `max_count`. `completeness: { min, max }` instead (or as well) checks
+ * the percentage of those metrics entered.
+ *
+ * With `for_each: "branch"` the rule is checked once per system, and
+ * `{system}` in its text is that system's short name; `{count}` is the
+ * number of metrics the condition matched. A `fallback` rule, which needs
+ * no condition, applies only when no other rule of its kind did. A rule
+ * file loaded later replaces earlier rules with the same ID.
+ */
+
+export const DEFAULT_REPORT_RULES_URL = "report_rules.json";
+
+const RULE_KINDS = ["pattern", "interaction", "guidance"];
+const RULE_STATUSES = ["optimal", "acceptable", "outside_range", "concerning", "no_reference", "not_entered"];
+const RULE_SCOPES = ["branch_id", "observable_id", "metric_id"];
+const RULE_PLACEHOLDERS = ["system", "count"];
+
+const RULE_RANGE = { type: "object", properties: { min: { type: "number" }, max: { type: "number" } } };
+
+const RULE_CONDITION = {
+  type: "object",
+  properties: {
+    branch_id: { type: "string" },
+    observable_id: { type: "string" },
+    metric_id: { type: "string" },
+    status: { type: "array", minItems: 1, items: { type: "string", enum: RULE_STATUSES } },
+    value: RULE_RANGE,
+    completeness: RULE_RANGE,
+    min_count: { type: "integer" },
+    max_count: { type: "integer" }
   }
-  
-  if (attentionCount === 0 && stableRatio > 0.7) {
-    return { label: "Generally stable", className: "stability-stable" };
+};
+RULE_CONDITION.properties.all = { type: "array", minItems: 1, items: RULE_CONDITION };
+RULE_CONDITION.properties.any = { type: "array", minItems: 1, items: RULE_CONDITION };
+
+/**
+ * Shape of a rule file, in the META_SCHEMA format (see schema.js)
+ */
+export const REPORT_RULES_SCHEMA = {
+  type: "object",
+  required: ["rules"],
+  properties: {
+    description: { type: "string" },
+    rules: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "kind", "text"],
+        properties: {
+          id: { type: "string" },
+          kind: { type: "string", enum: RULE_KINDS },
+          description: { type: "string" },
+          category: { type: "string" },
+          for_each: { type: "string", enum: ["branch"] },
+          fallback: { type: "boolean" },
+          when: RULE_CONDITION,
+          text: { type: "string" }
+        }
+      }
+    }
   }
-  
-  if (concerning > 0) {
-    return { label: "Review recommended", className: "stability-attention" };
+};
+
+let reportRules = [];
+
+/**
+ * URLs of the rule files to load: the bundled one, then each `rules`
+ * query parameter, so a clinic can add or replace rules
+ */
+export function getReportRulesUrls() {
+  const params = globalThis.location ? new URLSearchParams(globalThis.location.search).getAll("rules") : [];
+  return [DEFAULT_REPORT_RULES_URL, ...params];
+}
+
+/**
+ * Fetch, validate and install rule files
+ * Returns { url, errors, warnings } for each; a file with errors is left
+ * out. Rules refer to the loaded schema, so load them after it.
+ */
+export async function loadReportRules(urls = getReportRulesUrls()) {
+  const files = await Promise.all(urls.map(fetchJSON));
+  const results = installReportRules(files.map(f => f.json ?? null));
+  return urls.map((url, i) => files[i].error
+    ? { url, errors: [{ path: "", message: files[i].error }], warnings: [] }
+    : { url, ...results[i] });
+}
+
+/**
+ * Validate parsed rule files and use the rules of those without errors,
+ * later files replacing earlier rules by ID. Returns each file's
+ * { errors, warnings }; null entries (files that couldn't be read) are skipped.
+ */
+export function installReportRules(files) {
+  const results = files.map(json => json === null ? { errors: [], warnings: [] } : validateReportRules(json));
+  const rules = new Map();
+  files.forEach((json, i) => {
+    if (json === null || results[i].errors.length > 0) return;
+    for (const rule of json.rules) rules.set(rule.id, rule);
+  });
+  reportRules = [...rules.values()];
+  return results;
+}
+
+export function getReportRules() {
+  return [...reportRules];
+}
+
+/**
+ * Validate a parsed rule file against REPORT_RULES_SCHEMA, then check
+ * unique IDs, that guidance has a category and non-fallback rules a
+ * condition, and each condition. IDs the schema doesn't have are only
+ * warned about, since they may belong to an extension that isn't loaded.
+ */
+export function validateReportRules(json) {
+  const { errors, warnings } = validateShape(json, REPORT_RULES_SCHEMA);
+  if (errors.length > 0) return { errors, warnings };
+
+  const error = (path, message) => errors.push({ path, message });
+  const warning = (path, message) => warnings.push({ path, message });
+  const known = {
+    branch_id: new Set(BRANCHES.map(b => b.branch_id)),
+    observable_id: new Set(BRANCHES.flatMap(b => b.observables.map(o => o.observable_id))),
+    metric_id: new Set(getAllMetrics().map(m => m.metric_id))
+  };
+  const seen = new Set();
+
+  for (const rule of json.rules) {
+    const path = `rules[${rule.id}]`;
+    if (seen.has(rule.id)) error(path, `Duplicate rule ID "${rule.id}"`);
+    seen.add(rule.id);
+
+    if (rule.kind === "guidance" && !rule.category) error(`${path}.category`, "Guidance rules need a category");
+    if (rule.when) checkRuleCondition(rule.when, `${path}.when`, known, error, warning);
+    else if (!rule.fallback) error(`${path}.when`, "Only fallback rules can go without a condition");
+
+    for (const [, name] of rule.text.matchAll(/\{(\w+)\}/g)) {
+      if (!RULE_PLACEHOLDERS.includes(name)) warning(`${path}.text`, `Unknown placeholder {${name}}; it is left as is`);
+      else if (name === "system" && rule.for_each !== "branch") warning(`${path}.text`, "{system} needs for_each: branch");
+    }
   }
-  
-  if (outside > 0) {
-    return { label: "Some variation", className: "stability-mixed" };
+
+  return { errors, warnings };
+}
+
+function checkRuleCondition(condition, path, known, error, warning) {
+  const groups = ["all", "any"].filter(key => condition[key]);
+  const scopes = RULE_SCOPES.filter(key => condition[key]);
+  const leafKeys = Object.keys(condition).filter(key => !groups.includes(key));
+
+  if (groups.length > 0) {
+    if (groups.length > 1 || leafKeys.length > 0) error(path, "A condition is either all, any, or a metric match");
+    for (const key of groups) {
+      condition[key].forEach((child, i) => checkRuleCondition(child, `${path}.${key}[${i}]`, known, error, warning));
+    }
+    return;
+  }
+
+  if (scopes.length > 1) error(path, `Name at most one of ${RULE_SCOPES.join(", ")}`);
+  for (const scope of scopes) {
+    if (!known[scope].has(condition[scope])) warning(`${path}.${scope}`, `Unknown ${scope} "${condition[scope]}"; the condition never holds`);
+  }
+  if (!condition.status && !condition.value && !condition.completeness) {
+    error(path, "Needs a status, value or completeness to match");
+  }
+  for (const key of ["value", "completeness"]) {
+    const range = condition[key];
+    if (range && range.min !== undefined && range.max !== undefined && range.min > range.max) {
+      error(`${path}.${key}`, `min ${range.min} is above max ${range.max}`);
+    }
+  }
+  if (condition.max_count !== undefined && (condition.min_count ?? 0) > condition.max_count) {
+    error(path, `min_count ${condition.min_count} is above max_count ${condition.max_count}`);
+  }
+}
+
+/**
+ * Outputs of the rules of one kind that hold for a health state, in rule order:
+ *   pattern      { type: "pattern" | "cross_system", rule, system, message }
+ *   interaction  { rule, systems, text }
+ *   guidance     { rule, category, text }
+ */
+export function evaluateReportRules(healthState, kind) {
+  const rules = reportRules.filter(rule => rule.kind === kind);
+  const fired = fireRules(rules.filter(rule => !rule.fallback), healthState);
+  return fired.length > 0 ? fired : fireRules(rules.filter(rule => rule.fallback), healthState);
+}
+
+function fireRules(rules, healthState) {
+  const outputs = [];
+  for (const rule of rules) {
+    const scopes = rule.for_each === "branch" ? healthState.systems.map(system => [system]) : [healthState.systems];
+    for (const systems of scopes) {
+      const match = evaluateRuleCondition(rule.when, getRuleEntries(systems));
+      if (match.holds) outputs.push(createRuleOutput(rule, match.matched, systems));
+    }
+  }
+  return outputs;
+}
+
+/**
+ * Metrics of the given systems with the IDs conditions can name
+ */
+function getRuleEntries(systems) {
+  return systems.flatMap(system => system.observables.flatMap(observable =>
+    observable.metrics.map(metric => ({
+      metric,
+      branch_id: system.branch_id,
+      branch_name: system.branch_name,
+      observable_id: observable.observable_id,
+      metric_id: metric.metric_id
+    }))
+  ));
+}
+
+/**
+ * Returns { holds, matched }; matched are the entries behind a condition
+ * that holds
+ */
+function evaluateRuleCondition(condition, entries) {
+  if (!condition) return { holds: true, matched: [] };
+
+  if (condition.all || condition.any) {
+    const results = (condition.all || condition.any).map(child => evaluateRuleCondition(child, entries));
+    const holds = condition.all ? results.every(r => r.holds) : results.some(r => r.holds);
+    return { holds, matched: holds ? results.filter(r => r.holds).flatMap(r => r.matched) : [] };
+  }
+
+  const scoped = entries.filter(entry => RULE_SCOPES.every(scope => !condition[scope] || entry[scope] === condition[scope]));
+  if (scoped.length === 0) return { holds: false, matched: [] };
+
+  if (condition.completeness) {
+    const entered = scoped.filter(entry => entry.metric.reference_status !== 'not_entered').length;
+    if (!isInRuleRange(Math.round((entered / scoped.length) * 100), condition.completeness)) return { holds: false, matched: [] };
+    if (!condition.status && !condition.value) return { holds: true, matched: [] };
+  }
+
+  const matched = scoped.filter(({ metric }) =>
+    (!condition.status || condition.status.includes(metric.reference_status)) &&
+    (!condition.value || (typeof metric.value === 'number' && isInRuleRange(metric.value, condition.value)))
+  );
+  const minCount = condition.min_count ?? (condition.max_count !== undefined ? 0 : 1);
+  const holds = matched.length >= minCount && matched.length <= (condition.max_count ?? Infinity);
+  return { holds, matched: holds ? matched : [] };
+}
+
+function isInRuleRange(value, { min, max }) {
+  return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+function createRuleOutput(rule, matched, systems) {
+  const system = rule.for_each === "branch" ? getShortSystemName(systems[0].branch_name) : null;
+  const count = new Set(matched.map(entry => entry.metric_id)).size;
+  const text = rule.text.replace(/\{(system|count)\}/g, (_, key) => String({ system, count }[key]));
+
+  switch (rule.kind) {
+    case "pattern":
+      return { type: rule.for_each === "branch" ? 'pattern' : 'cross_system', rule: rule.id, system, message: text };
+    case "interaction":
+      return { rule: rule.id, systems: [...new Set(matched.map(entry => getShortSystemName(entry.branch_name)))], text };
+    case "guidance":
+      return { rule: rule.id, category: rule.category, text };
   }
-  
-  return { label: "Mixed", className: "stability-mixed" };
 }
 
 // ============================================
@@ -93,50 +395,8 @@ export function getSystemStabilityLabel(systemState) {
 /**
  * Generate plain-language explanations of how systems may interact
  */
-export function generateInteractionExplanations(healthState, findings) {
-  const explanations = [];
-  
-  // Check for cardiovascular + metabolic overlap
-  const cvConcerns = findings.concerning.filter(f => f.systemShort === 'Cardiovascular');
-  const metConcerns = findings.concerning.filter(f => f.systemShort === 'Metabolic');
-  
-  if (cvConcerns.length > 0 && metConcerns.length > 0) {
-    explanations.push({
-      systems: ['Cardiovascular', 'Metabolic'],
-      text: "Cardiovascular and metabolic systems often influence each other. Elevated blood pressure or lipids alongside glucose regulation changes may reflect shared factors such as activity level, diet patterns, or stress. These are often addressed together."
-    });
-  }
-  
-  // Inflammatory + other systems
-  const infConcerns = findings.concerning.filter(f => f.systemShort === 'Inflammatory');
-  if (infConcerns.length > 0 && (cvConcerns.length > 0 || metConcerns.length > 0)) {
-    explanations.push({
-      systems: ['Inflammatory', 'Cardiovascular/Metabolic'],
-      text: "Inflammatory markers can reflect the body's response to metabolic or cardiovascular strain. Chronic low-grade inflammation is often connected to lifestyle factors and may improve when other systems stabilize."
-    });
-  }
-  
-  // Sleep/recovery + neural
-  const neuralConcerns = findings.concerning.filter(f => f.systemShort === 'Neural');
-  if (neuralConcerns.length > 0) {
-    explanations.push({
-      systems: ['Neural'],
-      text: "Cognitive and mood-related observations are sensitive to sleep quality, recovery, and overall system load. These often improve when foundational factors like rest and activity are well-balanced."
-    });
-  }
-  
-  // Hormonal + structural
-  const hormonalConcerns = findings.concerning.filter(f => f.systemShort === 'Hormonal');
-  const structuralConcerns = findings.concerning.filter(f => f.systemShort === 'Structural');
-  
-  if (hormonalConcerns.length > 0 && structuralConcerns.length > 0) {
-    explanations.push({
-      systems: ['Hormonal', 'Structural'],
-      text: "Hormonal regulation and musculoskeletal capacity are interconnected. Strength training and adequate recovery can support both hormone balance and physical resilience."
-    });
-  }
-  
-  return explanations;
+export function generateInteractionExplanations(healthState) {
+  return evaluateReportRules(healthState, "interaction");
 }
 
 // ============================================
@@ -147,53 +407,8 @@ export function generateInteractionExplanations(healthState, findings) {
  * Generate general, non-prescriptive suggestions for stability
  * These are conversation starters, not medical advice
  */
-export function generateStabilityGuidance(healthState, findings) {
-  const guidance = [];
-  
-  // General guidance based on overall state
-  const overall = healthState.summary;
-  
-  if (overall.concerning > 0) {
-    guidance.push({
-      category: "Review",
-      text: "Some observations warrant discussion. Consider what context might explain these findings before drawing conclusions."
-    });
-  }
-  
-  if (overall.completeness < 50) {
-    guidance.push({
-      category: "Observation",
-      text: "A more complete set of measurements would provide better orientation. Consider which areas are most relevant to observe next."
-    });
-  }
-  
-  // If cardiovascular concerns
-  const cvIssues = findings.concerning.filter(f => f.systemShort === 'Cardiovascular').length > 0;
-  if (cvIssues) {
-    guidance.push({
-      category: "Cardiovascular",
-      text: "Blood pressure and heart rate variability respond to movement, stress management, and sleep. Consider how these factors play out in daily life."
-    });
-  }
-  
-  // If metabolic concerns
-  const metIssues = findings.concerning.filter(f => f.systemShort === 'Metabolic').length > 0;
-  if (metIssues) {
-    guidance.push({
-      category: "Metabolic",
-      text: "Glucose and lipid markers often reflect eating patterns, activity timing, and recovery. Small, consistent changes tend to be more sustainable than dramatic interventions."
-    });
-  }
-  
-  // General stability message
-  if (guidance.length === 0) {
-    guidance.push({
-      category: "Stability",
-      text: "Current observations suggest reasonable stability. Maintaining consistent routines for sleep, movement, and recovery supports ongoing resilience."
-    });
-  }
-  
-  return guidance;
+export function generateStabilityGuidance(healthState) {
+  return evaluateReportRules(healthState, "guidance");
 }
 
 // ============================================
@@ -209,7 +424,9 @@ export function extractFindings(healthState) {
     outsideOptimal: [],  // Amber - worth noting
     notable: [],         // Patterns or observations
     strengths: [],       // What's working well
-    incomplete: []       // Important metrics not measured
+    incomplete: [],      // Important metrics not measured
+    referenceGaps: [],   // Measured, but no range applies to this person
+    sexAmbiguous: []     // Sex unspecified and the male and female ranges disagree
   };
   
   // Analyze each system
@@ -236,40 +453,87 @@ export function extractFindings(healthState) {
   }
   
   // Detect cross-system patterns
-  const patterns = detectPatterns(healthState, findings);
+  const patterns = detectPatterns(healthState);
   findings.notable.push(...patterns);
   
   return findings;
 }
 
 function analyzMetric(metric, observable, system, findings) {
+  // A raw value still waiting for its baseline has no value, but is worth listing
+  if (metric.value === null && !metric.baseline) return;
+  
+  if (metric.reference_gap) {
+    findings.referenceGaps.push({
+      type: 'no_reference',
+      system: system.branch_name,
+      metric: metric.metric_name,
+      message: `${metric.metric_name}: ${metric.reference_gap.charAt(0).toLowerCase()}${metric.reference_gap.slice(1)}`
+    });
+  }
   if (metric.value === null) return;
   
+  if (metric.ambiguous) {
+    findings.sexAmbiguous.push({
+      type: 'sex_ambiguous',
+      system: system.branch_name,
+      metric: metric.metric_name,
+      message: `${metric.metric_name}: ${formatSexRanges(metric)}`
+    });
+  }
+  
+  const value = formatMetricValue(metric);
+  const display = formatMetricValueWithUnit(metric);
   const context = {
     system: system.branch_name,
     systemShort: getShortSystemName(system.branch_name),
     observable: observable.observable_name,
     metric: metric.metric_name,
-    value: metric.value,
+    value,
+    display,
     unit: metric.unit,
     importance: observable.importance,
-    fidelity: metric.fidelity
+    fidelity: metric.fidelity,
+    deviation: metric.deviation,
+    score: metric.score,
+    modifier: metric.reference_modifier
   };
   
+  // Lead with the side of the range, e.g. "Low HDL-C", "Very high LDL-C"
+  const deviation = formatDeviation(metric);
+  const name = deviation && metric.reference_status !== 'outside_range'
+    ? `${deviation.charAt(0).toUpperCase()}${deviation.slice(1)} ${metric.metric_name}`
+    : metric.metric_name;
+  
+  // Say when a physiological state changed the range, e.g. "(pregnant, third trimester range)"
+  const modifier = formatReferenceModifier(metric);
+  const adjusted = modifier ? ` (${modifier.toLowerCase()} range)` : '';
+  
   switch (metric.reference_status) {
     case 'concerning':
       findings.concerning.push({
         ...context,
         type: 'concerning',
-        message: `${metric.metric_name}: ${metric.value} ${metric.unit} — concerning range`
+        message: `${name}: ${display} — concerning range${adjusted}`
       });
       break;
       
     case 'outside_range':
+      // Past the ranges on the favourable side (e.g. LDL-C below range) counts as a strength
+      if (metric.favourable) {
+        if (observable.importance >= 4) {
+          findings.strengths.push({
+            ...context,
+            type: 'optimal',
+            message: `${metric.metric_name}: ${display} — ${deviation}${adjusted}`
+          });
+        }
+        break;
+      }
       findings.outsideOptimal.push({
         ...context,
         type: 'outside',
-        message: `${metric.metric_name}: ${metric.value} ${metric.unit} — outside optimal`
+        message: `${name}: ${display} — ${deviation ? `${deviation}, ` : ''}outside optimal${adjusted}`
       });
       break;
       
@@ -277,7 +541,7 @@ function analyzMetric(metric, observable, system, findings) {
       findings.outsideOptimal.push({
         ...context,
         type: 'acceptable',
-        message: `${metric.metric_name}: ${metric.value} ${metric.unit} — acceptable but not optimal`
+        message: `${name}: ${display} — acceptable but not optimal${adjusted}`
       });
       break;
       
@@ -287,69 +551,26 @@ function analyzMetric(metric, observable, system, findings) {
         findings.strengths.push({
           ...context,
           type: 'optimal',
-          message: `${metric.metric_name}: ${metric.value} ${metric.unit}`
+          message: `${metric.metric_name}: ${display}${adjusted}`
         });
       }
       break;
   }
 }
 
+/**
+ * Short name for a system, e.g. "Cardiovascular" for "Cardiovascular & Circulatory"
+ */
 function getShortSystemName(name) {
-  const map = {
-    'Cardiovascular & Circulatory': 'Cardiovascular',
-    'Metabolic & Energy Regulation': 'Metabolic',
-    'Inflammatory & Immune Load': 'Inflammatory',
-    'Neural & Cognitive Regulation': 'Neural',
-    'Hormonal & Regulatory Control': 'Hormonal',
-    'Structural & Musculoskeletal Capacity': 'Structural'
-  };
-  return map[name] || name;
+  return name.split(' & ')[0];
 }
 
 // ============================================
 // Pattern Detection
 // ============================================
 
-function detectPatterns(healthState, findings) {
-  const patterns = [];
-  
-  // Group findings by system
-  const systemConcerns = {};
-  for (const f of [...findings.concerning, ...findings.outsideOptimal]) {
-    systemConcerns[f.systemShort] = (systemConcerns[f.systemShort] || 0) + 1;
-  }
-  
-  // Detect systems with multiple concerns
-  for (const [system, count] of Object.entries(systemConcerns)) {
-    if (count >= 2) {
-      patterns.push({
-        type: 'pattern',
-        system: system,
-        message: `Multiple observations outside optimal in ${system} system (${count} metrics)`
-      });
-    }
-  }
-  
-  // Detect cardiovascular-metabolic overlap
-  const cvConcerns = findings.concerning.filter(f => f.systemShort === 'Cardiovascular').length;
-  const metConcerns = findings.concerning.filter(f => f.systemShort === 'Metabolic').length;
-  if (cvConcerns > 0 && metConcerns > 0) {
-    patterns.push({
-      type: 'cross_system',
-      message: 'Concerns in both cardiovascular and metabolic systems may indicate shared underlying factors'
-    });
-  }
-  
-  // Detect inflammation + other system concerns
-  const infConcerns = findings.concerning.filter(f => f.systemShort === 'Inflammatory').length;
-  if (infConcerns > 0 && (cvConcerns > 0 || metConcerns > 0)) {
-    patterns.push({
-      type: 'cross_system',
-      message: 'Inflammatory markers combined with cardiovascular/metabolic findings warrant attention'
-    });
-  }
-  
-  return patterns;
+function detectPatterns(healthState) {
+  return evaluateReportRules(healthState, "pattern");
 }
 
 // ============================================
@@ -363,12 +584,12 @@ export function generateReportSummary(healthState) {
   const findings = extractFindings(healthState);
   const summary = healthState.summary;
   
-  // Prioritize findings
+  // Prioritize findings: by bucket, then by position in range within it
   const priorityFindings = [
     ...findings.concerning.map(f => ({ ...f, priority: 1 })),
     ...findings.outsideOptimal.filter(f => f.importance >= 4).map(f => ({ ...f, priority: 2 })),
     ...findings.outsideOptimal.filter(f => f.importance < 4).map(f => ({ ...f, priority: 3 }))
-  ];
+  ].sort((a, b) => a.priority - b.priority || (b.score ?? 0) - (a.score ?? 0) || b.importance - a.importance);
   
   // Get top strengths
   const topStrengths = findings.strengths
@@ -390,10 +611,10 @@ export function generateReportSummary(healthState) {
   }));
   
   // Generate interaction explanations
-  const interactions = generateInteractionExplanations(healthState, findings);
+  const interactions = generateInteractionExplanations(healthState);
   
   // Generate stability guidance
-  const guidance = generateStabilityGuidance(healthState, findings);
+  const guidance = generateStabilityGuidance(healthState);
   
   return {
     person: healthState.person,
@@ -407,12 +628,18 @@ export function generateReportSummary(healthState) {
       totalOptimal: summary.optimal,
       totalAcceptable: summary.acceptable,
       totalConcerning: summary.concerning + summary.outside,
-      completeness: summary.completeness
+      completeness: summary.completeness,
+      weightedOptimal: getWeightedShare(summary, 'optimal'),
+      weightedCompleteness: summary.weighted.completeness,
+      confidence: summary.confidence
     },
     priorityFindings,
     patterns: findings.notable.filter(f => f.type === 'pattern' || f.type === 'cross_system'),
     strengths: topStrengths,
     incomplete: criticalMissing,
+    referenceGaps: findings.referenceGaps,
+    sexAmbiguous: findings.sexAmbiguous,
+    referenceSet: healthState.reference_set,
     systemDescriptions,
     interactions,
     guidance,
@@ -432,8 +659,8 @@ export function generateReportHTML(healthState) {
   const report = generateReportSummary(healthState);
   
   const personInfo = report.person.name 
-    ? `${report.person.name} — ${report.person.age} years, ${report.person.sex}`
-    : `${report.person.age} years, ${report.person.sex}`;
+    ? `${report.person.name} — ${report.person.age} years, ${formatPersonSex(report.person)}`
+    : `${report.person.age} years, ${formatPersonSex(report.person)}`;
   
   // Build findings section
   let findingsHTML = '';
@@ -473,7 +700,7 @@ export function generateReportHTML(healthState) {
         <h3>Areas of Strength</h3>
         <div class="strengths-list">
           ${report.strengths.map(s => `
-            <span class="strength-item">${s.metric}: ${s.value} ${s.unit}</span>
+            <span class="strength-item">${s.metric}: ${s.display}</span>
           `).join('')}
         </div>
       </div>
@@ -492,6 +719,30 @@ export function generateReportHTML(healthState) {
     `;
   }
   
+  // Reference gaps section
+  if (report.referenceGaps.length > 0) {
+    findingsHTML += `
+      <div class="report-section incomplete-section">
+        <h3>Not Classified</h3>
+        <ul class="incomplete-list">
+          ${report.referenceGaps.map(g => `<li>${g.message}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+  
+  if (report.sexAmbiguous.length > 0) {
+    findingsHTML += `
+      <div class="report-section incomplete-section">
+        <h3>Sex-Specific Ranges</h3>
+        <p>Sex is unspecified, so sex-specific metrics were compared with both the male and the female range and the worse result counted. These differ between the two:</p>
+        <ul class="incomplete-list">
+          ${report.sexAmbiguous.map(a => `<li>${a.message}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+  
   // Cross-system interactions section
   let interactionsHTML = '';
   if (report.interactions && report.interactions.length > 0) {
@@ -535,9 +786,10 @@ export function generateReportHTML(healthState) {
             <div class="system-overview-item">
               <div class="system-overview-header">
                 <span class="system-overview-name">${sys.shortName}</span>
-                ${sys.stability ? `<span class="system-stability ${sys.stability.className}">${sys.stability.label}</span>` : ''}
+                ${sys.stability ? `<span class="system-stability ${sys.stability.className}" title="${sys.stability.description}">${sys.stability.label}</span>` : ''}
               </div>
               <p class="system-overview-desc">${sys.description}</p>
+              ${sys.stability?.reasons.length ? `<p class="system-overview-reason">${sys.stability.reasons.join('; ')}.</p>` : ''}
             </div>
           `).join('')}
         </div>
@@ -545,6 +797,9 @@ export function generateReportHTML(healthState) {
     }
   }
   
+  // Number the range sources cited by the detail rows
+  const citations = collectCitations(report.systems);
+  
   // Build systems detail
   const systemsHTML = report.systems.map(system => {
     const enteredMetrics = system.observables.flatMap(o => o.metrics).filter(m => m.value !== null);
@@ -563,9 +818,9 @@ export function generateReportHTML(healthState) {
               <div class="report-metrics">
                 ${metrics.map(m => `
                   <div class="report-metric status-${m.reference_status}">
-                    <span class="metric-name">${m.metric_name}</span>
-                    <span class="metric-value">${m.value} ${m.unit}</span>
-                    <span class="metric-status">${getStatusLabel(m.reference_status)}</span>
+                    <span class="metric-name">${m.metric_name}${getContextNote(m)}${getModifierNote(m)}${getReferenceSetMark(m, report.referenceSet)}${getCitationMark(m, citations)}</span>
+                    <span class="metric-value">${formatMetricValueWithUnit(m)}${getReadingsNote(m)}</span>
+                    <span class="metric-status">${getStatusLabel(m.reference_status)}${getDeviationArrow(m)}</span>
                   </div>
                 `).join('')}
               </div>
@@ -604,7 +859,19 @@ export function generateReportHTML(healthState) {
           <span class="stat-number">${report.overview.totalConcerning}</span>
           <span class="stat-label">Attention</span>
         </div>
+        ${report.overview.weightedOptimal !== null ? `
+        <div class="overview-stat optimal" title="Weighted by observable importance and metric fidelity; ${report.overview.weightedCompleteness}% of the weighted set observed">
+          <span class="stat-number">${report.overview.weightedOptimal}%</span>
+          <span class="stat-label">Optimal by weight</span>
+        </div>
+        ` : ''}
       </section>
+      ${report.overview.confidence.level === 'low' ? `
+      <p class="report-confidence-note">
+        Confidence in these observations is low (${report.overview.confidence.score}%): few measurements, or mostly
+        indirect ones, have been entered so far. Treat the findings and patterns below as provisional.
+      </p>
+      ` : ''}
       
       ${findingsHTML}
       
@@ -616,6 +883,7 @@ export function generateReportHTML(healthState) {
       
       <section class="report-details">
         <h2>Detailed Observations</h2>
+        ${getReferenceSetNote(report)}
         ${systemsHTML}
       </section>
       
@@ -624,6 +892,8 @@ export function generateReportHTML(healthState) {
         <div class="notes-content">${report.notes || '<em>No notes recorded</em>'}</div>
       </section>
       
+      ${getCitationAppendixHTML(citations)}
+      
       <footer class="report-footer">
         <p class="disclaimer">This is a point-in-time health observation, not a diagnosis. 
         All findings should be interpreted in clinical context.</p>
@@ -633,6 +903,125 @@ export function generateReportHTML(healthState) {
   `;
 }
 
+/**
+ * State which reference set the classifications come from
+ * Metrics whose range falls back to another set (the base of an overlay
+ * set) are marked † in the details.
+ */
+function getReferenceSetNote(report) {
+  const set = report.referenceSet;
+  if (!set) return '';
+  
+  const fallbacks = report.systems
+    .flatMap(s => s.observables.flatMap(o => o.metrics))
+    .filter(m => m.value !== null && m.reference_set && m.reference_set.id !== set.id);
+  const fallbackSets = [...new Map(fallbacks.map(m => [m.reference_set.id, m.reference_set])).values()];
+  
+  const fallbackText = fallbackSets.length > 0
+    ? ` Metrics marked † have no ${set.name.toLowerCase()} range and use ${fallbackSets.map(f => `${f.name} v${f.version}`).join(', ')}.`
+    : '';
+  return `<p class="reference-set-note">Classified against ${set.name} v${set.version}.${fallbackText}</p>`;
+}
+
+function getReferenceSetMark(metric, set) {
+  if (!set || !metric.reference_set || metric.reference_set.id === set.id) return '';
+  return ` <span class="metric-context-note" title="${metric.reference_set.name} v${metric.reference_set.version}">†</span>`;
+}
+
+/**
+ * Citations behind the classified metrics, numbered in order of appearance
+ * Returns a Map of citation id → { number, citation, metrics }.
+ */
+function collectCitations(systems) {
+  const citations = new Map();
+  for (const metric of systems.flatMap(s => s.observables.flatMap(o => o.metrics))) {
+    if (metric.value === null || !metric.citation) continue;
+    
+    const id = metric.citation.id;
+    if (!citations.has(id)) {
+      citations.set(id, { number: citations.size + 1, citation: metric.citation, metrics: [] });
+    }
+    citations.get(id).metrics.push(metric.metric_name);
+  }
+  return citations;
+}
+
+function getCitationMark(metric, citations) {
+  const entry = metric.citation && citations.get(metric.citation.id);
+  return entry ? `<sup class="citation-ref">${entry.number}</sup>` : '';
+}
+
+function getCitationAppendixHTML(citations) {
+  if (citations.size === 0) return '';
+  
+  return `
+    <section class="report-appendix">
+      <h2>Appendix: Reference Range Sources</h2>
+      <ol class="citation-list">
+        ${[...citations.values()].map(({ citation: c, metrics }) => `
+          <li>
+            <span class="citation-source">${formatCitation(c)}</span>
+            ${c.guideline_id ? `<span class="citation-id">${c.guideline_id}</span>` : ''}
+            ${c.notes ? `<p class="citation-notes">${c.notes}</p>` : ''}
+            <p class="citation-metrics">Used for: ${metrics.join(', ')}</p>
+          </li>
+        `).join('')}
+      </ol>
+    </section>
+  `;
+}
+
+/**
+ * Sex plus any physiological state ranges were adjusted for, e.g. "female (postmenopausal)"
+ */
+function formatPersonSex(person) {
+  const sex = person.sex === 'male' || person.sex === 'female' ? person.sex : 'sex unspecified';
+  if (person.sex === 'male') return sex;
+  
+  const states = Object.entries(person.physiological_state || {})
+    .map(([state, option]) => PHYSIOLOGICAL_STATES[state]?.options[option])
+    .filter(Boolean);
+  return states.length > 0 ? `${sex} (${states.map(label => label.toLowerCase()).join('; ')})` : sex;
+}
+
+function getContextNote(metric) {
+  if (!metric.context) return '';
+  const label = (MEASUREMENT_CONTEXTS[metric.context] || metric.context).toLowerCase();
+  return ` <span class="metric-context-note">(${label})</span>`;
+}
+
+function getModifierNote(metric) {
+  const label = formatReferenceModifier(metric);
+  return label ? ` <span class="metric-context-note">(${label.toLowerCase()} range)</span>` : '';
+}
+
+function getReadingsNote(metric) {
+  const notes = [];
+  if (metric.derived) {
+    notes.push(`derived: ${metric.derivation}, from ${formatDerivedInputs(metric)}`);
+  } else if (metric.readings.length > 1) {
+    const label = AGGREGATIONS[metric.aggregation]?.label || metric.aggregation;
+    notes.push(`${label} of ${metric.readings.length}`);
+  }
+  const original = formatOriginalValue(metric);
+  if (original) {
+    notes.push(`entered as ${original}`);
+  }
+  const baseline = formatBaseline(metric);
+  if (baseline) {
+    notes.push(`${baseline}; baseline ${formatBaselineSource(metric.baseline)}`);
+  }
+  if (metric.ambiguous) {
+    notes.push(`worst of ${formatSexRanges(metric)}`);
+  }
+  if (notes.length === 0) return '';
+  return ` <span class="metric-readings-note">(${notes.join('; ')})</span>`;
+}
+
+function getDeviationArrow(metric) {
+  return { low: '↓', high: '↑' }[metric.deviation] || '';
+}
+
 function getStatusLabel(status) {
   const labels = {
     optimal: '●',
@@ -723,6 +1112,13 @@ export function openReportWindow(healthState) {
           text-align: center;
         }
         
+        .report-confidence-note {
+          margin: -20px 0 32px;
+          font-size: 12px;
+          color: #b8860b;
+          text-align: center;
+        }
+        
         .overview-stat .stat-number {
           font-family: 'JetBrains Mono', monospace;
           font-size: 28px;
@@ -867,8 +1263,57 @@ export function openReportWindow(healthState) {
           font-weight: 500;
         }
         
+        .reference-set-note {
+          font-size: 11px;
+          color: #9c9690;
+          margin-bottom: 12px;
+        }
+        
+        .citation-ref {
+          font-size: 9px;
+          color: #9c9690;
+          margin-left: 2px;
+        }
+        
+        .report-appendix {
+          margin: 24px 0;
+        }
+        
+        .report-appendix h2 {
+          font-family: 'Source Serif 4', Georgia, serif;
+          font-size: 15px;
+          margin-bottom: 10px;
+        }
+        
+        .citation-list {
+          padding-left: 20px;
+          font-size: 11px;
+        }
+        
+        .citation-list li {
+          margin-bottom: 8px;
+        }
+        
+        .citation-id,
+        .citation-notes,
+        .citation-metrics {
+          color: #9c9690;
+        }
+        
+        .citation-id {
+          margin-left: 6px;
+          font-family: 'JetBrains Mono', monospace;
+          font-size: 10px;
+        }
+        
+        .report-metric .metric-context-note,
+        .report-metric .metric-readings-note {
+          font-weight: 400;
+          color: #9c9690;
+        }
+        
         .report-metric .metric-status {
-          width: 16px;
+          min-width: 16px;
           text-align: center;
         }
         
@@ -1117,10 +1562,12 @@ export function openReportWindow(healthState) {
       .system-overview-header { display: flex; align-items: center; gap: 10px; margin-bottom: 4px; }
       .system-overview-name { font-weight: 600; font-size: 12px; }
       .system-stability { font-size: 10px; padding: 2px 8px; border-radius: 10px; }
+      .stability-robust { background: rgba(61, 122, 95, 0.25); color: #2f5a4e; }
       .stability-stable { background: rgba(61, 122, 95, 0.15); color: #3d6b5f; }
-      .stability-mixed { background: rgba(184, 134, 11, 0.15); color: #8b6914; }
-      .stability-attention { background: rgba(181, 64, 64, 0.15); color: #b54040; }
+      .stability-compensating { background: rgba(184, 134, 11, 0.15); color: #8b6914; }
+      .stability-strained { background: rgba(181, 64, 64, 0.15); color: #b54040; }
       .system-overview-desc { font-size: 11px; color: #5c5752; line-height: 1.5; margin: 0; }
+      .system-overview-reason { font-size: 10px; color: #9c9690; line-height: 1.5; margin: 2px 0 0; }
       
       /* Interactions */
       .interactions-section { background: #f8f9fa; }
@@ -1147,7 +1594,18 @@ export function openReportWindow(healthState) {
       .report-metric { display: flex; align-items: center; gap: 10px; padding: 5px 10px; background: #f8f7f4; border-radius: 4px; font-size: 11px; }
       .report-metric .metric-name { flex: 1; }
       .report-metric .metric-value { font-family: 'JetBrains Mono', monospace; font-weight: 500; }
-      .report-metric .metric-status { width: 14px; text-align: center; }
+      .reference-set-note { font-size: 11px; color: #9c9690; margin-bottom: 12px; }
+      .citation-ref { font-size: 9px; color: #9c9690; margin-left: 2px; }
+      
+      .report-appendix { margin: 24px 0; }
+      .report-appendix h2 { font-family: 'Source Serif 4', Georgia, serif; font-size: 15px; margin-bottom: 10px; }
+      .citation-list { padding-left: 20px; font-size: 11px; }
+      .citation-list li { margin-bottom: 8px; }
+      .citation-id, .citation-notes, .citation-metrics { color: #9c9690; }
+      .citation-id { margin-left: 6px; font-family: 'JetBrains Mono', monospace; font-size: 10px; }
+      .report-metric .metric-context-note,
+      .report-metric .metric-readings-note { font-weight: 400; color: #9c9690; }
+      .report-metric .metric-status { min-width: 14px; text-align: center; }
       
       .report-metric.status-optimal { border-left: 3px solid #3d7a5f; }
       .report-metric.status-acceptable { border-left: 3px solid #b8860b; }
@@ -2,634 +2,726 @@
  * Health Schema
  * 
  * Defines the 6 health systems, their observables, and metrics.
- * Converted from health_schema.json for use in the app.
+ * They live in health_schema.json, which is loaded at startup (see
+ * loadSchema), checked against META_SCHEMA and only then installed as
+ * BRANCHES and SCALE_DEFINITIONS; until then there are no metrics. The
+ * vocabularies the schema refers to (value types, measurement contexts,
+ * physiological states, baselines) are defined here because code depends
+ * on them.
+ * 
+ * A clinic extension file can add observables and metrics to the branches
+ * (see Extensions); its metrics are marked with `extension`.
+ * 
+ * Numeric metrics carry `plausibility` limits in their unit:
+ * `hard` values can't be real and are refused, values outside `soft` are
+ * possible but need a reason to keep. A null bound is open.
+ */
+
+import { DERIVED_FORMULAS, PERSON_INPUTS } from './derived.js';
+import { setExtensionSet } from './references.js';
+
+/**
+ * Value types a metric can have. Metrics without `type` are numeric.
+ * Ordinal and categorical metrics list their allowed values in `options`.
  */
+export const METRIC_TYPES = ["numeric", "ordinal", "categorical", "boolean"];
+
+export const BOOLEAN_OPTIONS = [
+  { value: true, label: "Yes" },
+  { value: false, label: "No" }
+];
 
-export const SCHEMA_VERSION = "0.1";
-
-export const SCALE_DEFINITIONS = {
-  observable_importance: {
-    min: 1,
-    max: 5,
-    meaning: {
-      1: "Nice-to-have context",
-      2: "Useful supporting signal",
-      3: "Important",
-      4: "Very important",
-      5: "Core driver / highest leverage"
+/**
+ * Measurement contexts a metric can be recorded under.
+ * Metrics list the ones that apply to them in `contexts`;
+ * references.js may define context-specific ranges for them.
+ */
+export const MEASUREMENT_CONTEXTS = {
+  fasting: "Fasting",
+  non_fasting: "Non-fasting",
+  morning: "Morning",
+  evening: "Evening",
+  post_meal: "Post-meal",
+  post_exertion: "Post-exertion"
+};
+
+/**
+ * Physiological states recorded on the evaluation that shift reference ranges.
+ * Each state takes at most one of its options; references.js may define
+ * ranges for an option under a metric's `modifiers`. They apply to female
+ * ranges only.
+ */
+export const PHYSIOLOGICAL_STATES = {
+  pregnancy: {
+    label: "Pregnancy",
+    options: {
+      pregnancy_t1: "Pregnant, first trimester",
+      pregnancy_t2: "Pregnant, second trimester",
+      pregnancy_t3: "Pregnant, third trimester",
+      postpartum: "Postpartum (under 12 weeks)"
     }
   },
-  metric_fidelity: {
-    min: 1,
-    max: 5,
-    meaning: {
-      1: "Weak proxy / high noise",
-      2: "Proxy with limitations",
-      3: "Reasonable indicator",
-      4: "Strong indicator",
-      5: "Direct / highly reliable indicator"
+  menopause: {
+    label: "Menopause",
+    options: {
+      perimenopausal: "Perimenopausal",
+      postmenopausal: "Postmenopausal"
+    }
+  },
+  cycle_phase: {
+    label: "Cycle phase",
+    options: {
+      menstrual: "Menstrual phase",
+      follicular: "Follicular phase",
+      luteal: "Luteal phase"
     }
   }
 };
 
-export const BRANCHES = [
-  {
-    branch_id: "cardiovascular_circulatory",
-    branch_name: "Cardiovascular & Circulatory",
-    observables: [
-      {
-        observable_id: "cv_resting_load",
-        observable_name: "Resting cardiovascular load",
-        importance: 5,
-        observable_description: "Baseline pressure and rate burden on heart and vasculature at rest; reflects sustained strain and sets the backdrop for recovery and long-term risk.",
-        metrics: [
-          {
-            metric_id: "bp_resting_systolic",
-            metric_name: "Resting systolic blood pressure",
-            measurement_method: "BP cuff; seated, 5 min rest; average of 2–3 readings",
-            unit: "mmHg",
-            fidelity: 5
-          },
-          {
-            metric_id: "bp_resting_diastolic",
-            metric_name: "Resting diastolic blood pressure",
-            measurement_method: "BP cuff; same protocol as systolic",
-            unit: "mmHg",
-            fidelity: 5
-          },
-          {
-            metric_id: "hr_resting",
-            metric_name: "Resting heart rate",
-            measurement_method: "Wearable or manual pulse; morning, seated/rested",
-            unit: "bpm",
-            fidelity: 4
-          }
-        ]
-      },
-      {
-        observable_id: "cv_atherogenic_load",
-        observable_name: "Atherogenic (lipid) load",
-        importance: 5,
-        observable_description: "Chemical drivers of atherosclerotic burden; slow-changing but highly informative for long-term vascular stress.",
-        metrics: [
-          {
-            metric_id: "apob",
-            metric_name: "ApoB",
-            measurement_method: "Finger-prick blood test (if available) or lab",
-            unit: "mg/dL",
-            fidelity: 5
-          },
-          {
-            metric_id: "ldl_c",
-            metric_name: "LDL-C",
-            measurement_method: "Finger-prick lipid panel",
-            unit: "mg/dL",
-            fidelity: 4
-          },
-          {
-            metric_id: "triglycerides",
-            metric_name: "Triglycerides",
-            measurement_method: "Finger-prick lipid panel; ideally fasting",
-            unit: "mg/dL",
-            fidelity: 3
-          },
-          {
-            metric_id: "hdl_c",
-            metric_name: "HDL-C",
-            measurement_method: "Finger-prick lipid panel",
-            unit: "mg/dL",
-            fidelity: 2
-          }
-        ]
-      },
-      {
-        observable_id: "cv_recovery_capacity",
-        observable_name: "Cardiovascular recovery capacity",
-        importance: 4,
-        observable_description: "How quickly cardiovascular control returns toward baseline after a standardized stressor; reflects resilience and conditioning.",
-        metrics: [
-          {
-            metric_id: "hrr_1min",
-            metric_name: "Heart rate recovery (1-minute)",
-            measurement_method: "Standardized step/stair test; HR drop after 60s rest",
-            unit: "bpm drop",
-            fidelity: 4
-          },
-          {
-            metric_id: "hrr_2min",
-            metric_name: "Heart rate recovery (2-minute)",
-            measurement_method: "Same test; HR drop after 120s rest",
-            unit: "bpm drop",
-            fidelity: 4
-          },
-          {
-            metric_id: "post_exertion_next_morning_rhr",
-            metric_name: "Next-morning resting HR after exertion",
-            measurement_method: "Wearable; compare to personal baseline",
-            unit: "bpm delta",
-            fidelity: 3
-          }
-        ]
-      },
-      {
-        observable_id: "cv_autonomic_control",
-        observable_name: "Autonomic cardiovascular control",
-        importance: 4,
-        observable_description: "Balance and responsiveness of autonomic regulation (sympathetic/parasympathetic) influencing HR/BP stability and stress reactivity.",
-        metrics: [
-          {
-            metric_id: "hrv_rmssd_overnight",
-            metric_name: "Overnight HRV (RMSSD or equivalent)",
-            measurement_method: "Wearable; nightly average; trend vs baseline",
-            unit: "ms",
-            fidelity: 3
-          },
-          {
-            metric_id: "orthostatic_hr_delta",
-            metric_name: "Orthostatic HR change (lying to standing)",
-            measurement_method: "Stopwatch + HR sensor; measure HR change over 1–3 minutes",
-            unit: "bpm delta",
-            fidelity: 4
-          },
-          {
-            metric_id: "orthostatic_bp_delta",
-            metric_name: "Orthostatic BP change (lying to standing)",
-            measurement_method: "BP cuff; measure supine then standing",
-            unit: "mmHg delta",
-            fidelity: 4
-          }
-        ]
-      }
-    ]
-  },
-  {
-    branch_id: "metabolic_energy",
-    branch_name: "Metabolic & Energy Regulation",
-    observables: [
-      {
-        observable_id: "met_glycemic_state",
-        observable_name: "Glycemic state (baseline)",
-        importance: 5,
-        observable_description: "Baseline glucose regulation over short and longer horizons; central for metabolic health and downstream cardiovascular risk.",
-        metrics: [
-          {
-            metric_id: "hba1c",
-            metric_name: "HbA1c",
-            measurement_method: "Finger-prick test",
-            unit: "%",
-            fidelity: 5
-          },
-          {
-            metric_id: "fasting_glucose",
-            metric_name: "Fasting glucose",
-            measurement_method: "Finger-prick glucose meter; morning fasted",
-            unit: "mg/dL",
-            fidelity: 4
-          }
-        ]
-      },
-      {
-        observable_id: "met_postprandial_response",
-        observable_name: "Post-meal metabolic stress response",
-        importance: 4,
-        observable_description: "System load after typical meals; captures regulation quality beyond fasting values.",
-        metrics: [
-          {
-            metric_id: "post_meal_glucose_60_90",
-            metric_name: "Post-meal glucose (60–90 min)",
-            measurement_method: "Finger-prick glucose meter after standardized meal",
-            unit: "mg/dL",
-            fidelity: 4
-          },
-          {
-            metric_id: "post_meal_hr_delta",
-            metric_name: "Post-meal heart rate elevation",
-            measurement_method: "Wearable; compare to pre-meal baseline",
-            unit: "bpm delta",
-            fidelity: 2
-          }
-        ]
-      },
-      {
-        observable_id: "met_adiposity_pattern",
-        observable_name: "Adiposity distribution (metabolic load proxy)",
-        importance: 4,
-        observable_description: "Body fat distribution proxying insulin resistance and cardiometabolic strain; used cautiously and longitudinally.",
-        metrics: [
-          {
-            metric_id: "waist_circumference",
-            metric_name: "Waist circumference",
-            measurement_method: "Measuring tape; standardized anatomical point",
-            unit: "cm",
-            fidelity: 4
-          },
-          {
-            metric_id: "waist_to_height",
-            metric_name: "Waist-to-height ratio",
-            measurement_method: "Waist tape + height",
-            unit: "ratio",
-            fidelity: 4
-          },
-          {
-            metric_id: "weight_trend",
-            metric_name: "Weight trend",
-            measurement_method: "Scale; morning; rolling average",
-            unit: "kg/week",
-            fidelity: 2
-          }
-        ]
-      },
-      {
-        observable_id: "met_lipid_metabolic_signature",
-        observable_name: "Metabolic lipid signature",
-        importance: 3,
-        observable_description: "Lipid pattern reflecting insulin resistance and hepatic lipid handling; bridges metabolic and cardiovascular branches.",
-        metrics: [
-          {
-            metric_id: "triglycerides_met",
-            metric_name: "Triglycerides (fasting preferred)",
-            measurement_method: "Finger-prick lipid panel",
-            unit: "mg/dL",
-            fidelity: 4
-          },
-          {
-            metric_id: "tg_hdl_ratio",
-            metric_name: "TG/HDL ratio",
-            measurement_method: "Derived from lipid panel",
-            unit: "ratio",
-            fidelity: 3
-          }
-        ]
-      }
-    ]
-  },
-  {
-    branch_id: "inflammatory_immune",
-    branch_name: "Inflammatory & Immune Load",
-    observables: [
-      {
-        observable_id: "infl_baseline_inflammation",
-        observable_name: "Baseline systemic inflammatory activity",
-        importance: 5,
-        observable_description: "General level of systemic inflammation; useful anchor signal to contextualize recovery, cardiovascular risk, and metabolic strain.",
-        metrics: [
-          {
-            metric_id: "hs_crp",
-            metric_name: "hs-CRP (or CRP)",
-            measurement_method: "Finger-prick test",
-            unit: "mg/L",
-            fidelity: 5
-          }
-        ]
-      },
-      {
-        observable_id: "infl_recovery_debt",
-        observable_name: "Recovery debt / delayed restoration",
-        importance: 4,
-        observable_description: "How strongly the body 'stays activated' after stress; reflects combined inflammatory/autonomic load.",
-        metrics: [
-          {
-            metric_id: "rhr_trend",
-            metric_name: "Resting HR elevation vs baseline",
-            measurement_method: "Wearable; morning trend",
-            unit: "bpm delta",
-            fidelity: 3
-          },
-          {
-            metric_id: "hrv_suppression",
-            metric_name: "HRV suppression vs baseline",
-            measurement_method: "Wearable; overnight trend",
-            unit: "% change",
-            fidelity: 3
-          },
-          {
-            metric_id: "sleep_fragmentation",
-            metric_name: "Sleep fragmentation / awakenings",
-            measurement_method: "Wearable + subjective sleep continuity note",
-            unit: "awakenings/night",
-            fidelity: 2
-          }
-        ]
-      },
-      {
-        observable_id: "infl_illness_susceptibility_pattern",
-        observable_name: "Illness susceptibility pattern (coarse)",
-        importance: 2,
-        observable_description: "Frequency of minor infections as a coarse, contextual signal; high noise and confounding, used cautiously.",
-        metrics: [
-          {
-            metric_id: "minor_infections_count",
-            metric_name: "Minor infection frequency (self-log)",
-            measurement_method: "Structured self-report log (monthly)",
-            unit: "count/month",
-            fidelity: 1
-          }
-        ]
+/**
+ * Personal baselines some metrics are measured against.
+ * Metrics refer to one in `baseline`; the person's value is kept on the
+ * evaluation and can be taken from `history_metric` in earlier evaluations.
+ */
+export const BASELINES = {
+  resting_hr: { name: "Resting HR", unit: "bpm", history_metric: "hr_resting" },
+  overnight_hrv: { name: "Overnight HRV", unit: "ms", history_metric: "hrv_rmssd_overnight" },
+  morning_temp: { name: "Morning temp", unit: "°C", history_metric: "morning_temp_trend" }
+};
+
+// ============================================
+// Loading
+// ============================================
+
+export const DEFAULT_SCHEMA_URL = "health_schema.json";
+
+/** Version of the loaded schema; evaluations record it (see migrations.js) */
+export let SCHEMA_VERSION = null;
+
+export let SCALE_DEFINITIONS = null;
+
+/** Weights for importance and fidelity in weighted summaries (see getSummaryWeight) */
+export let SUMMARY_WEIGHTING = null;
+
+export let BRANCHES = [];
+
+let baseBranches = [];
+let allMetrics = [];
+let metricsById = new Map();
+
+/**
+ * URL of the schema to load: the `schema` query parameter if the page has
+ * one, so a clinic can point the app at its own file, else the bundled one
+ */
+export function getSchemaUrl() {
+  const param = globalThis.location ? new URLSearchParams(globalThis.location.search).get("schema") : null;
+  return param || DEFAULT_SCHEMA_URL;
+}
+
+/**
+ * Fetch, validate and install a schema
+ * Returns { url, errors, warnings } like validateSchema; on errors
+ * (including a file that can't be fetched or parsed) nothing is installed.
+ */
+export async function loadSchema(url = getSchemaUrl()) {
+  const { json, error } = await fetchJSON(url);
+  if (error) return { url, errors: [{ path: "", message: error }], warnings: [] };
+  return { url, ...installSchema(json) };
+}
+
+/**
+ * Fetch and parse a JSON file; returns { json } or { error }
+ */
+export async function fetchJSON(url) {
+  try {
+    const response = await fetch(url, { cache: "no-cache" });
+    if (!response.ok) return { error: `Could not fetch ${url} (${response.status} ${response.statusText})` };
+    return { json: await response.json() };
+  } catch (e) {
+    return { error: `Could not load ${url}: ${e.message}` };
+  }
+}
+
+/**
+ * Validate a parsed schema and, if it has no errors, make it the app's
+ * schema: BRANCHES, SCALE_DEFINITIONS, SUMMARY_WEIGHTING, SCHEMA_VERSION and
+ * the helpers below.
+ * Any installed extension is dropped.
+ */
+export function installSchema(json) {
+  const result = validateSchema(json);
+  if (result.errors.length > 0) return result;
+
+  SCHEMA_VERSION = json.schema_version;
+  SCALE_DEFINITIONS = json.scale_definitions;
+  SUMMARY_WEIGHTING = json.summary_weighting || {};
+  BRANCHES = baseBranches = json.branches;
+  setExtensionSet(null);
+  indexMetrics();
+
+  return result;
+}
+
+function indexMetrics() {
+  allMetrics = BRANCHES.flatMap(branch => branch.observables.flatMap(observable =>
+    observable.metrics.map(metric => ({
+      ...metric,
+      branch_id: branch.branch_id,
+      branch_name: branch.branch_name,
+      observable_id: observable.observable_id,
+      observable_name: observable.observable_name,
+      observable_importance: observable.importance
+    }))
+  ));
+  metricsById = new Map(allMetrics.map(metric => [metric.metric_id, metric]));
+}
+
+// ============================================
+// Validation
+// ============================================
+
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+const BOUNDS = { type: "array", items: { type: ["number", "null"] }, minItems: 2, maxItems: 2 };
+const SCALE = {
+  type: "object",
+  required: ["min", "max", "meaning"],
+  properties: {
+    min: { type: "integer" },
+    max: { type: "integer" },
+    meaning: { type: "object", values: { type: "string" } }
+  }
+};
+
+const WEIGHTS = { type: "object", values: { type: "number" } };
+
+const METRIC = {
+  type: "object",
+  required: ["metric_id", "metric_name", "measurement_method", "unit", "fidelity"],
+  properties: {
+    metric_id: { type: "string", pattern: ID_PATTERN },
+    metric_name: { type: "string" },
+    measurement_method: { type: "string" },
+    unit: { type: "string" },
+    fidelity: { type: "integer" },
+    how_well_it_measures: { type: "string" },
+    type: { type: "string", enum: METRIC_TYPES },
+    options: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["value", "label"],
+        properties: { value: { type: ["string", "number"] }, label: { type: "string" } }
       }
-    ]
-  },
-  {
-    branch_id: "neural_cognitive",
-    branch_name: "Neural & Cognitive",
-    observables: [
-      {
-        observable_id: "neuro_sleep_regulation",
-        observable_name: "Sleep regulation quality",
-        importance: 5,
-        observable_description: "Core restorative and regulatory process affecting cognition, metabolic control, inflammation, and autonomic balance.",
-        metrics: [
-          {
-            metric_id: "sleep_duration",
-            metric_name: "Sleep duration",
-            measurement_method: "Wearable + time-in-bed log",
-            unit: "hours",
-            fidelity: 3
-          },
-          {
-            metric_id: "sleep_efficiency",
-            metric_name: "Sleep efficiency / awakenings",
-            measurement_method: "Wearable",
-            unit: "%",
-            fidelity: 3
-          },
-          {
-            metric_id: "sleep_timing_consistency",
-            metric_name: "Sleep timing consistency",
-            measurement_method: "Wearable or sleep log",
-            unit: "std dev (min)",
-            fidelity: 4
-          }
-        ]
-      },
-      {
-        observable_id: "neuro_attention_speed",
-        observable_name: "Attention speed and stability",
-        importance: 4,
-        observable_description: "Cognitive throughput and steadiness; best captured as variability across repeated simple tests.",
-        metrics: [
-          {
-            metric_id: "reaction_time_mean",
-            metric_name: "Reaction time (mean)",
-            measurement_method: "Standardized phone/web test; same device/time",
-            unit: "ms",
-            fidelity: 3
-          },
-          {
-            metric_id: "reaction_time_variability",
-            metric_name: "Reaction time variability (std dev / lapses)",
-            measurement_method: "Same test; repeated measurements",
-            unit: "ms",
-            fidelity: 4
-          }
-        ]
-      },
-      {
-        observable_id: "neuro_autonomic_balance",
-        observable_name: "Autonomic balance (neuro-cardiac interface)",
-        importance: 3,
-        observable_description: "Neural regulation of physiological state; overlaps with cardiovascular autonomic control but included here as a cognitive/stress-regulation lens.",
-        metrics: [
-          {
-            metric_id: "hrv_neuro",
-            metric_name: "Overnight HRV trend",
-            measurement_method: "Wearable",
-            unit: "ms",
-            fidelity: 3
-          },
-          {
-            metric_id: "orthostatic_symptoms_log",
-            metric_name: "Orthostatic symptoms (structured log)",
-            measurement_method: "Brief questionnaire during orthostatic test",
-            unit: "score",
-            fidelity: 2
-          }
-        ]
+    },
+    analyte: { type: "string" },
+    contexts: { type: "array", items: { type: "string", enum: Object.keys(MEASUREMENT_CONTEXTS) } },
+    aggregation: { type: "string" },
+    baseline: {
+      type: "object",
+      required: ["id", "compare"],
+      properties: {
+        id: { type: "string", enum: Object.keys(BASELINES) },
+        compare: { type: "string", enum: ["difference", "percent"] },
+        classify: { type: "string", enum: ["value"] }
       }
-    ]
-  },
-  {
-    branch_id: "hormonal_regulatory",
-    branch_name: "Hormonal & Regulatory",
-    observables: [
-      {
-        observable_id: "horm_thyroid_axis_state",
-        observable_name: "Thyroid axis state (regulatory baseline)",
-        importance: 4,
-        observable_description: "Key endocrine controller influencing energy, temperature regulation, and cardiovascular/metabolic tone; interpreted cautiously.",
-        metrics: [
-          {
-            metric_id: "tsh",
-            metric_name: "TSH",
-            measurement_method: "Finger-prick (if available) or lab",
-            unit: "mIU/L",
-            fidelity: 4
-          },
-          {
-            metric_id: "free_t4",
-            metric_name: "Free T4 (if available)",
-            measurement_method: "Finger-prick (limited availability) or lab",
-            unit: "pmol/L",
-            fidelity: 4
-          },
-          {
-            metric_id: "morning_temp_trend",
-            metric_name: "Morning temperature trend",
-            measurement_method: "Oral thermometer; same time daily",
-            unit: "°C",
-            fidelity: 2
-          }
-        ]
-      },
-      {
-        observable_id: "horm_stress_axis_tone",
-        observable_name: "Stress-axis tone (diurnal stability proxy)",
-        importance: 3,
-        observable_description: "Regulatory stability across day; looks for dysregulated patterns rather than single values.",
-        metrics: [
-          {
-            metric_id: "sleep_wake_consistency_horm",
-            metric_name: "Sleep-wake consistency",
-            measurement_method: "Wearable/log",
-            unit: "std dev (min)",
-            fidelity: 3
-          },
-          {
-            metric_id: "am_resting_hr",
-            metric_name: "Morning resting HR trend",
-            measurement_method: "Wearable",
-            unit: "bpm",
-            fidelity: 2
-          },
-          {
-            metric_id: "cortisol_optional",
-            metric_name: "Cortisol (timed, optional)",
-            measurement_method: "Finger-prick (limited) or saliva/lab; timing-critical",
-            unit: "varies",
-            fidelity: 2
-          }
-        ]
-      },
-      {
-        observable_id: "horm_sex_hormone_context",
-        observable_name: "Sex-hormone context (optional, context-dependent)",
-        importance: 2,
-        observable_description: "Contextual endocrine information relevant to energy, mood, recovery in some individuals; not core for everyone.",
-        metrics: [
-          {
-            metric_id: "testosterone_optional",
-            metric_name: "Testosterone (optional)",
-            measurement_method: "Finger-prick (if available) or lab",
-            unit: "ng/dL",
-            fidelity: 3
-          },
-          {
-            metric_id: "cycle_tracking_optional",
-            metric_name: "Menstrual cycle tracking (optional)",
-            measurement_method: "Structured log/app (if applicable)",
-            unit: "cycle days",
-            fidelity: 2
-          }
-        ]
+    },
+    derived: {
+      type: "object",
+      required: ["formula", "inputs"],
+      properties: {
+        formula: { type: "string" },
+        inputs: { type: "array", minItems: 1, items: { type: "string" } }
       }
-    ]
-  },
-  {
-    branch_id: "structural_musculoskeletal",
-    branch_name: "Structural & Musculoskeletal",
-    observables: [
-      {
-        observable_id: "msk_strength_capacity",
-        observable_name: "Strength capacity (functional)",
-        importance: 5,
-        observable_description: "Functional strength reserve and overall musculoskeletal capacity; highly actionable and strongly related to resilience and aging outcomes.",
-        metrics: [
-          {
-            metric_id: "grip_strength",
-            metric_name: "Grip strength",
-            measurement_method: "Hand dynamometer; best of 3 attempts",
-            unit: "kg",
-            fidelity: 4
-          },
-          {
-            metric_id: "sit_to_stand_30s",
-            metric_name: "30-second sit-to-stand reps",
-            measurement_method: "Standard chair + stopwatch",
-            unit: "reps",
-            fidelity: 4
-          }
-        ]
-      },
-      {
-        observable_id: "msk_mobility_range",
-        observable_name: "Mobility / range-of-motion sufficiency",
-        importance: 3,
-        observable_description: "Movement capability and joint range adequate for daily function and safe training; supports injury risk reduction.",
-        metrics: [
-          {
-            metric_id: "rom_screen",
-            metric_name: "Basic ROM screen (shoulder/hip/ankle)",
-            measurement_method: "Clinician-guided screen; standardized positions",
-            unit: "pass/limit",
-            fidelity: 3
-          },
-          {
-            metric_id: "deep_squat_assessment",
-            metric_name: "Deep squat pattern screen (optional)",
-            measurement_method: "Clinician observation",
-            unit: "score",
-            fidelity: 2
-          }
-        ]
-      },
-      {
-        observable_id: "msk_balance_control",
-        observable_name: "Balance and motor control",
-        importance: 3,
-        observable_description: "Postural control and neuromuscular coordination; bridges neural and musculoskeletal domains and is useful for fall/injury prevention framing.",
-        metrics: [
-          {
-            metric_id: "single_leg_stance_eyes_open",
-            metric_name: "Single-leg stance (eyes open)",
-            measurement_method: "Stopwatch; both sides",
-            unit: "seconds",
-            fidelity: 3
-          },
-          {
-            metric_id: "single_leg_stance_eyes_closed",
-            metric_name: "Single-leg stance (eyes closed)",
-            measurement_method: "Stopwatch; safety precautions",
-            unit: "seconds",
-            fidelity: 3
-          }
-        ]
-      },
-      {
-        observable_id: "msk_pain_injury_burden",
-        observable_name: "Pain/injury burden (contextual functional constraint)",
-        importance: 2,
-        observable_description: "Functional limitation due to pain or recurring injury; mainly used to shape safe recommendations rather than to score health.",
-        metrics: [
-          {
-            metric_id: "injury_recurrence_log",
-            metric_name: "Injury recurrence log (structured)",
-            measurement_method: "Clinician interview + monthly log",
-            unit: "episodes/quarter",
-            fidelity: 2
-          },
-          {
-            metric_id: "pain_interference_score",
-            metric_name: "Pain interference (brief scale)",
-            measurement_method: "Short questionnaire",
-            unit: "score",
-            fidelity: 2
-          }
-        ]
+    },
+    plausibility: {
+      type: "object",
+      required: ["hard"],
+      properties: { hard: BOUNDS, soft: BOUNDS }
+    }
+  }
+};
+
+const OBSERVABLE = {
+  type: "object",
+  required: ["observable_id", "observable_name", "importance", "metrics"],
+  properties: {
+    observable_id: { type: "string", pattern: ID_PATTERN },
+    observable_name: { type: "string" },
+    importance: { type: "integer" },
+    observable_description: { type: "string" },
+    metrics: { type: "array", minItems: 1, items: METRIC }
+  }
+};
+
+/**
+ * Shape of a health schema file
+ * A small subset of JSON Schema: type (or a list of types), required,
+ * properties, values (for maps), items, minItems/maxItems, enum, pattern.
+ * Properties it doesn't list are reported as warnings; an object with
+ * neither properties nor values is free-form.
+ */
+export const META_SCHEMA = {
+  type: "object",
+  required: ["schema_version", "scale_definitions", "branches"],
+  properties: {
+    schema_version: { type: "string" },
+    scale_definitions: {
+      type: "object",
+      required: ["observable_importance", "metric_fidelity_to_observable"],
+      properties: { observable_importance: SCALE, metric_fidelity_to_observable: SCALE }
+    },
+    summary_weighting: {
+      type: "object",
+      properties: { description: { type: "string" }, importance: WEIGHTS, fidelity: WEIGHTS }
+    },
+    branches: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["branch_id", "branch_name", "observables"],
+        properties: {
+          branch_id: { type: "string", pattern: ID_PATTERN },
+          branch_name: { type: "string" },
+          observables: { type: "array", minItems: 1, items: OBSERVABLE }
+        }
       }
-    ]
+    }
   }
-];
+};
 
 /**
- * Helper: Get all metrics as a flat list
+ * Validate a parsed schema against META_SCHEMA, then check what the shape
+ * can't: unique IDs, importance and fidelity on their scales, summary
+ * weights for values on those scales, options for
+ * ordinal and categorical metrics only, derived formulas and inputs that
+ * exist (see derived.js), and plausibility limits in order with `soft`
+ * inside `hard`. Returns { errors, warnings } of { path, message }; paths
+ * name array items by their ID, e.g.
+ * branches[metabolic_energy].observables[…].metrics[hba1c].unit
  */
-export function getAllMetrics() {
-  const metrics = [];
-  for (const branch of BRANCHES) {
+export function validateSchema(json) {
+  const errors = [];
+  const warnings = [];
+  const error = (path, message) => errors.push({ path, message });
+  const warning = (path, message) => warnings.push({ path, message });
+
+  checkNode(json, META_SCHEMA, "", error, warning);
+  if (errors.length > 0) return { errors, warnings };
+
+  checkSummaryWeighting(json.summary_weighting, json.scale_definitions, error, warning);
+
+  const metricIds = new Set(json.branches.flatMap(b => b.observables.flatMap(o => o.metrics.map(m => m.metric_id))));
+  const checks = createEntryChecks(json.scale_definitions, metricIds, error, warning);
+
+  for (const branch of json.branches) {
+    const branchPath = `branches[${branch.branch_id}]`;
+    checks.unique(branch.branch_id, branchPath);
+
     for (const observable of branch.observables) {
+      const observablePath = `${branchPath}.observables[${observable.observable_id}]`;
+      checkObservable(observable, observablePath, checks);
       for (const metric of observable.metrics) {
-        metrics.push({
-          ...metric,
-          branch_id: branch.branch_id,
-          branch_name: branch.branch_name,
-          observable_id: observable.observable_id,
-          observable_name: observable.observable_name,
-          observable_importance: observable.importance
-        });
+        checkMetric(metric, `${observablePath}.metrics[${metric.metric_id}]`, checks);
       }
     }
   }
-  return metrics;
+
+  return { errors, warnings };
 }
 
 /**
- * Helper: Get metric by ID
+ * Checks shared by the schema and its extensions; IDs must be unique
+ * across branches, observables and metrics
  */
-export function getMetricById(metricId) {
-  for (const branch of BRANCHES) {
-    for (const observable of branch.observables) {
-      for (const metric of observable.metrics) {
-        if (metric.metric_id === metricId) {
-          return {
-            ...metric,
-            branch_id: branch.branch_id,
-            branch_name: branch.branch_name,
-            observable_id: observable.observable_id,
-            observable_name: observable.observable_name,
-            observable_importance: observable.importance
-          };
-        }
+function createEntryChecks(scales, metricIds, error, warning) {
+  const seen = new Map();
+  return {
+    metricIds,
+    error,
+    warning,
+    unique(id, path) {
+      if (seen.has(id)) error(path, `Duplicate ID "${id}" (also at ${seen.get(id)})`);
+      else seen.set(id, path);
+    },
+    scale(value, scaleName, path) {
+      const { min, max } = scales[scaleName];
+      if (value < min || value > max) error(path, `${value} is outside the ${scaleName} scale (${min} to ${max})`);
+    }
+  };
+}
+
+function checkObservable(observable, path, checks) {
+  checks.unique(observable.observable_id, path);
+  checks.scale(observable.importance, "observable_importance", `${path}.importance`);
+}
+
+function checkMetric(metric, path, { metricIds, error, warning, unique, scale }) {
+  unique(metric.metric_id, path);
+  scale(metric.fidelity, "metric_fidelity_to_observable", `${path}.fidelity`);
+
+  const type = getMetricType(metric);
+  if ((type === "ordinal" || type === "categorical") && !metric.options) {
+    error(`${path}.options`, `${type} metrics need options`);
+  } else if (metric.options && type !== "ordinal" && type !== "categorical") {
+    warning(`${path}.options`, `Options are ignored for ${type} metrics`);
+  }
+
+  if (metric.derived && !DERIVED_FORMULAS[metric.derived.formula]) {
+    error(`${path}.derived.formula`, `Unknown formula "${metric.derived.formula}" (expected one of ${Object.keys(DERIVED_FORMULAS).join(", ")})`);
+  }
+  for (const input of metric.derived?.inputs || []) {
+    if (!metricIds.has(input) && !PERSON_INPUTS[input]) error(`${path}.derived.inputs`, `Unknown input "${input}"; not a metric or person field`);
+  }
+
+  checkPlausibilityLimits(metric.plausibility, `${path}.plausibility`, error);
+}
+
+/**
+ * Weights are keyed by scale value; values without a weight count as
+ * themselves (see getSummaryWeight)
+ */
+function checkSummaryWeighting(weighting, scales, error, warning) {
+  if (!weighting) return;
+
+  const scaleNames = { importance: "observable_importance", fidelity: "metric_fidelity_to_observable" };
+  for (const [name, scaleName] of Object.entries(scaleNames)) {
+    const weights = weighting[name];
+    if (!weights) continue;
+
+    const { min, max } = scales[scaleName];
+    const path = `summary_weighting.${name}`;
+    for (const [key, weight] of Object.entries(weights)) {
+      const value = Number(key);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        error(`${path}.${key}`, `"${key}" is not a value on the ${scaleName} scale (${min} to ${max})`);
       }
+      if (weight < 0) error(`${path}.${key}`, `Weight ${weight} is negative`);
+    }
+    for (let value = min; value <= max; value++) {
+      if (!(value in weights)) warning(path, `No weight for ${value}; it counts as ${value}`);
     }
   }
-  return null;
+}
+
+function checkPlausibilityLimits(plausibility, path, error) {
+  if (!plausibility) return;
+
+  const { hard, soft } = plausibility;
+  for (const [name, bounds] of Object.entries({ hard, soft })) {
+    if (bounds && bounds[0] !== null && bounds[1] !== null && bounds[0] > bounds[1]) {
+      error(`${path}.${name}`, `Lower limit ${bounds[0]} is above upper limit ${bounds[1]}`);
+    }
+  }
+  if (soft) {
+    const [hardMin, hardMax] = hard;
+    const [softMin, softMax] = soft;
+    if ((hardMin !== null && (softMin === null || softMin < hardMin)) ||
+        (hardMax !== null && (softMax === null || softMax > hardMax))) {
+      error(`${path}.soft`, "Soft limits must lie within the hard limits");
+    }
+  }
+}
+
+/**
+ * Check parsed JSON against a spec in the META_SCHEMA format, for other
+ * files loaded at startup (see REPORT RULES in report.js)
+ * Returns { errors, warnings } like validateSchema.
+ */
+export function validateShape(json, spec) {
+  const errors = [];
+  const warnings = [];
+  checkNode(json, spec, "", (path, message) => errors.push({ path, message }), (path, message) => warnings.push({ path, message }));
+  return { errors, warnings };
+}
+
+/**
+ * Check a value against a META_SCHEMA node, recursing into objects and arrays
+ */
+function checkNode(value, spec, path, error, warning) {
+  const type = getJSONType(value);
+  const types = [spec.type].flat();
+  const typeMatches = types.includes(type) || (type === "integer" && types.includes("number"));
+  if (!typeMatches) {
+    error(path, `Expected ${types.join(" or ")}, got ${type === "null" ? "null" : `${type} ${JSON.stringify(value)}`}`);
+    return;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    error(path, `Unknown value ${JSON.stringify(value)} (expected one of ${spec.enum.join(", ")})`);
+  }
+  if (spec.pattern && !spec.pattern.test(value)) {
+    error(path, `"${value}" is not a valid ID (lowercase letters, digits and underscores)`);
+  }
+
+  if (type === "object" && (spec.properties || spec.values)) {
+    for (const key of spec.required || []) {
+      if (!(key in value)) error(joinPath(path, key), `Missing required "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSpec = spec.properties?.[key] || spec.values;
+      if (childSpec) checkNode(child, childSpec, joinPath(path, key), error, warning);
+      else warning(joinPath(path, key), `Unknown property "${key}"; it is ignored`);
+    }
+  }
+
+  if (type === "array") {
+    if (spec.minItems !== undefined && value.length < spec.minItems) {
+      error(path, `Needs at least ${spec.minItems} item${spec.minItems === 1 ? "" : "s"}`);
+    }
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      error(path, `Has ${value.length} items, at most ${spec.maxItems} allowed`);
+    }
+    value.forEach((item, i) => checkNode(item, spec.items, `${path}[${getItemKey(item, i)}]`, error, warning));
+  }
+}
+
+function getJSONType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Name array items by their ID where they have one, so paths stay readable
+ */
+function getItemKey(item, index) {
+  const id = item?.metric_id ?? item?.observable_id ?? item?.branch_id ?? item?.id;
+  return typeof id === "string" && id ? id : index;
+}
+
+// ============================================
+// Extensions
+// ============================================
+
+const CITATION = {
+  type: "object",
+  required: ["source"],
+  properties: {
+    source: { type: "string" },
+    year: { type: "integer" },
+    guideline_id: { type: "string" },
+    url: { type: "string" },
+    notes: { type: "string" }
+  }
+};
+
+const EXTENSION_METRIC = {
+  ...METRIC,
+  properties: { ...METRIC.properties, reference_ranges: { type: "object" } }
+};
+
+/**
+ * Shape of a schema extension file
+ * A clinic adds observables to existing branches (`observables`, each
+ * naming its `branch_id`) and metrics to existing or added observables
+ * (`metrics`, each naming its `observable_id`). Metrics are schema metrics
+ * plus optional `reference_ranges`, one REFERENCE_RANGES table whose
+ * citations may name the extension's own `citations`.
+ */
+export const EXTENSION_META_SCHEMA = {
+  type: "object",
+  required: ["extension_id", "extension_name", "version"],
+  properties: {
+    extension_id: { type: "string", pattern: ID_PATTERN },
+    extension_name: { type: "string" },
+    version: { type: "string" },
+    description: { type: "string" },
+    citations: { type: "object", values: CITATION },
+    observables: {
+      type: "array",
+      items: {
+        ...OBSERVABLE,
+        required: ["branch_id", ...OBSERVABLE.required],
+        properties: { branch_id: { type: "string" }, ...OBSERVABLE.properties, metrics: { type: "array", minItems: 1, items: EXTENSION_METRIC } }
+      }
+    },
+    metrics: {
+      type: "array",
+      items: {
+        ...EXTENSION_METRIC,
+        required: ["observable_id", ...METRIC.required],
+        properties: { observable_id: { type: "string" }, ...EXTENSION_METRIC.properties }
+      }
+    }
+  }
+};
+
+/**
+ * URL of the extension to load from the `extension` query parameter, or
+ * null when the page has none
+ */
+export function getExtensionUrl() {
+  return globalThis.location ? new URLSearchParams(globalThis.location.search).get("extension") : null;
+}
+
+/**
+ * Fetch, validate and install a schema extension on the loaded schema
+ * Returns { url, errors, warnings }; without a URL there is nothing to do.
+ */
+export async function loadSchemaExtension(url = getExtensionUrl()) {
+  if (!url) return { url, errors: [], warnings: [] };
+
+  const { json, error } = await fetchJSON(url);
+  if (error) return { url, errors: [{ path: "", message: error }], warnings: [] };
+  return { url, ...installSchemaExtension(json) };
+}
+
+/**
+ * Validate an extension against the loaded schema and, if it has no errors,
+ * add its observables and metrics to BRANCHES (tagged with `extension`) and
+ * hand its ranges to references.js. Replaces any earlier extension.
+ */
+export function installSchemaExtension(json) {
+  const result = validateSchemaExtension(json);
+  if (result.errors.length > 0) return result;
+
+  const extension = json.extension_id;
+  const ranges = {};
+  const toMetric = ({ observable_id, reference_ranges, ...metric }) => {
+    if (reference_ranges) ranges[metric.metric_id] = reference_ranges;
+    return { ...metric, extension };
+  };
+  const addedMetrics = json.metrics || [];
+  const withAddedMetrics = observable => ({
+    ...observable,
+    metrics: [...observable.metrics, ...addedMetrics.filter(m => m.observable_id === observable.observable_id).map(toMetric)]
+  });
+
+  BRANCHES = baseBranches.map(branch => ({
+    ...branch,
+    observables: [
+      ...branch.observables,
+      ...(json.observables || [])
+        .filter(observable => observable.branch_id === branch.branch_id)
+        .map(({ branch_id, metrics, ...observable }) => ({ ...observable, extension, metrics: metrics.map(toMetric) }))
+    ].map(withAddedMetrics)
+  }));
+  setExtensionSet({
+    id: extension,
+    name: json.extension_name,
+    version: json.version,
+    citation: null,
+    ranges,
+    citations: json.citations || {}
+  });
+  indexMetrics();
+
+  return result;
+}
+
+/**
+ * Validate an extension against EXTENSION_META_SCHEMA and the loaded
+ * schema: branches and observables it adds to must exist, its IDs must not
+ * clash with the schema's, and its entries pass the same checks as
+ * validateSchema's. Range tables are checked by validateReferenceTables.
+ */
+export function validateSchemaExtension(json) {
+  const errors = [];
+  const warnings = [];
+  const error = (path, message) => errors.push({ path, message });
+  const warning = (path, message) => warnings.push({ path, message });
+
+  checkNode(json, EXTENSION_META_SCHEMA, "", error, warning);
+  if (errors.length > 0) return { errors, warnings };
+
+  const observables = json.observables || [];
+  const metrics = [...observables.flatMap(o => o.metrics), ...(json.metrics || [])];
+  const metricIds = new Set([...baseBranches.flatMap(b => b.observables.flatMap(o => o.metrics.map(m => m.metric_id))), ...metrics.map(m => m.metric_id)]);
+  const checks = createEntryChecks(SCALE_DEFINITIONS, metricIds, error, warning);
+
+  const observableIds = new Set();
+  for (const branch of baseBranches) {
+    checks.unique(branch.branch_id, `schema branch ${branch.branch_id}`);
+    for (const observable of branch.observables) {
+      checks.unique(observable.observable_id, `schema observable ${observable.observable_id}`);
+      observableIds.add(observable.observable_id);
+      observable.metrics.forEach(metric => checks.unique(metric.metric_id, `schema metric ${metric.metric_id}`));
+    }
+  }
+
+  if (observables.length === 0 && !json.metrics?.length) {
+    warning("", "The extension adds no observables or metrics");
+  }
+
+  for (const observable of observables) {
+    const path = `observables[${observable.observable_id}]`;
+    if (!baseBranches.some(b => b.branch_id === observable.branch_id)) {
+      error(`${path}.branch_id`, `Unknown branch "${observable.branch_id}" (expected one of ${baseBranches.map(b => b.branch_id).join(", ")})`);
+    }
+    checkObservable(observable, path, checks);
+    observableIds.add(observable.observable_id);
+    for (const metric of observable.metrics) {
+      checkMetric(metric, `${path}.metrics[${metric.metric_id}]`, checks);
+    }
+  }
+
+  for (const metric of json.metrics || []) {
+    const path = `metrics[${metric.metric_id}]`;
+    if (!observableIds.has(metric.observable_id)) {
+      error(`${path}.observable_id`, `Unknown observable "${metric.observable_id}"`);
+    }
+    checkMetric(metric, path, checks);
+  }
+
+  return { errors, warnings };
+}
+
+// ============================================
+// Lookup
+// ============================================
+
+/**
+ * Helper: Get all metrics as a flat list
+ */
+export function getAllMetrics() {
+  return [...allMetrics];
+}
+
+/**
+ * Helper: Get a metric's value type
+ */
+export function getMetricType(metric) {
+  return metric?.type || "numeric";
+}
+
+/**
+ * Helper: Get the selectable options for a non-numeric metric
+ */
+export function getMetricOptions(metric) {
+  if (getMetricType(metric) === "boolean") return BOOLEAN_OPTIONS;
+  return metric?.options || [];
+}
+
+/**
+ * Helper: Get metric by ID
+ */
+export function getMetricById(metricId) {
+  return metricsById.get(metricId) || null;
+}
+
+/**
+ * Helper: Weight of a metric in weighted summaries
+ * The SUMMARY_WEIGHTING weights for its observable's importance and its
+ * fidelity, multiplied; a value without a weight counts as itself.
+ */
+export function getSummaryWeight(importance, fidelity) {
+  return getImportanceWeight(importance) * getScaleWeight(SUMMARY_WEIGHTING?.fidelity, fidelity);
+}
+
+/**
+ * Helper: The SUMMARY_WEIGHTING weight of an observable importance
+ */
+export function getImportanceWeight(importance) {
+  return getScaleWeight(SUMMARY_WEIGHTING?.importance, importance);
+}
+
+function getScaleWeight(weights, value) {
+  return weights?.[value] ?? value ?? 1;
 }
@@ -8,8 +8,14 @@
  * - Export/import as JSON
  */
 
-import { BRANCHES } from './schema.js';
-import { getReferenceStatus, getRangeDisplayText, REFERENCE_RANGES } from './references.js';
+import { BRANCHES, BASELINES, PHYSIOLOGICAL_STATES, SCALE_DEFINITIONS, SCHEMA_VERSION, getMetricById, getMetricType, getMetricOptions, getSummaryWeight, getImportanceWeight } from './schema.js';
+import { getAnalyteUnits, toCanonical } from './units.js';
+import { computeDerivedMeasurements, describeDerivation } from './derived.js';
+import { applyBaselines, acceptsRawEntry } from './baselines.js';
+import { FORMAT_VERSION, migrateEvaluation } from './migrations.js';
+import { classifySystemState } from './system-states.js';
+import { validateEvaluation, validateClinicRanges, checkPlausibility, isOverridden } from './validation.js';
+import { classifyValue, getRangePosition, getReferenceGap, getRangeDisplayText, getAppliedContext, getAppliedModifier, getLookupSexes, getReferenceSet, getRangeSource, getReferenceRange, getRangeCitation, getClinicOverrides, setClinicOverrides, isFavourableDeviation, DEFAULT_REFERENCE_SET, REFERENCE_RANGES } from './references.js';
 
 // ============================================
 // Data Structures (as per software_specs.md)
@@ -22,11 +28,20 @@ import { getReferenceStatus, getRangeDisplayText, REFERENCE_RANGES } from './ref
  * @property {string} id - Unique identifier
  * @property {string} created_at - ISO datetime when created
  * @property {string} updated_at - ISO datetime when last updated
+ * @property {string} format_version - Evaluation format (FORMAT_VERSION) it was saved in
+ * @property {string} schema_version - Health schema (SCHEMA_VERSION) its metric IDs refer to
  * @property {string} [person_name] - Optional name/identifier
  * @property {number} person_age - Age in years
- * @property {"male"|"female"} person_sex - Biological sex for reference ranges
+ * @property {"male"|"female"|"unspecified"} person_sex - Sex for reference ranges; unspecified (or unset) compares against both
+ * @property {number} [person_height] - Height in cm (feeds derived metrics)
+ * @property {string} reference_set - Id of the REFERENCE_SETS entry values are classified against
+ * @property {Object.<string, string>} [physiological_state] - PHYSIOLOGICAL_STATES key → option, e.g. { pregnancy: "pregnancy_t2" }
+ * @property {Object.<string, Baseline>} [baselines] - Personal baselines, keyed by BASELINES id
  * @property {Object.<string, Measurement>} measurements - Keyed by metric_id
  * @property {string} [notes] - Optional doctor notes
+ * @property {Object.<string, Measurement>} [retired_measurements] - Values for metrics no longer in the schema
+ * @property {Object[]} [migration_history] - Upgrades applied on load, with their notices
+ * @property {string[]} [migration_notices] - Notices from the upgrade on this load, not yet shown
  */
 
 /**
@@ -34,20 +49,79 @@ import { getReferenceStatus, getRangeDisplayText, REFERENCE_RANGES } from './ref
  * 
  * @typedef {Object} Measurement
  * @property {string} metric_id - Matches health_schema
- * @property {number|string|null} value - The measured value
+ * @property {number|string|boolean|null} value - The aggregated value used for classification, in the metric's canonical unit
+ * @property {Reading[]} [readings] - Individual readings from the collection period
+ * @property {string} [aggregation] - Overrides the schema's aggregation method
+ * @property {string} [unit] - Unit the readings were entered in
+ * @property {number|string|boolean|null} [original_value] - Aggregated value in that unit, before conversion
  * @property {string} [measured_at] - ISO date, defaults to today
  * @property {string} [context] - Optional context (fasting, morning, etc.)
+ * @property {"raw"|null} [entered_as] - "raw" when a baseline metric was entered as the raw value rather than the change
+ * @property {PlausibilityOverride|null} [plausibility_override] - Why readings outside the soft plausibility limits were kept
+ */
+
+/**
+ * PlausibilityOverride — A doctor's reason for keeping unusual readings
+ * 
+ * @typedef {Object} PlausibilityOverride
+ * @property {string} reason - Short reason given when the warning was overridden
+ * @property {number[]} values - Readings (canonical unit) the reason covers
+ * @property {string} overridden_at - ISO datetime
+ */
+
+/**
+ * Baseline — The person's usual value for a BASELINES entry
+ * 
+ * @typedef {Object} Baseline
+ * @property {number} value - In the baseline's unit
+ * @property {"entered"|"history"} source - Typed in, or worked out from earlier evaluations
+ * @property {number} [evaluations] - How many earlier evaluations it was taken from
+ * @property {string} [from] - Date of the earliest of them
+ * @property {string} [to] - Date of the latest of them
+ * @property {string} updated_at - ISO datetime when set
+ */
+
+/**
+ * Reading — One raw reading that feeds a Measurement
+ * 
+ * @typedef {Object} Reading
+ * @property {number|string} value - The raw reading
+ * @property {string} measured_at - ISO date of the reading
  */
 
 /**
  * HealthState — The full state vector (output view)
  * 
  * @typedef {Object} HealthState
- * @property {Object} person - { age, sex, name }
+ * @property {Object} person - { age, sex, name, height, physiological_state }
+ * @property {Object} reference_set - { id, name, version } chosen for the evaluation
  * @property {SystemState[]} systems - All 6 systems with their observables
  * @property {Object} summary - Computed summary stats
  */
 
+/**
+ * Driver — A metric behind a system's or observable's assessment
+ * Drivers are the values off optimal, ranked by impact; when every value
+ * is optimal they are those values instead, ranked by weight, as support.
+ * 
+ * @typedef {Object} Driver
+ * @property {string} metric_id
+ * @property {string} metric_name
+ * @property {string} observable_id
+ * @property {string} observable_name
+ * @property {"numeric"|"ordinal"|"categorical"|"boolean"} type
+ * @property {number|string|boolean} value
+ * @property {string|null} value_label
+ * @property {string} unit
+ * @property {string} reference_status
+ * @property {"low"|"high"|null} deviation
+ * @property {number|null} score
+ * @property {number} weight - From importance and fidelity (see getSummaryWeight)
+ * @property {number} severity - DRIVER_SEVERITY of the status, 0 when the value is favourable
+ * @property {number} impact - weight × severity, what drivers are ranked by
+ * @property {"strain"|"support"} effect
+ */
+
 /**
  * SystemState — State of one system
  * 
@@ -55,7 +129,9 @@ import { getReferenceStatus, getRangeDisplayText, REFERENCE_RANGES } from './ref
  * @property {string} branch_id
  * @property {string} branch_name
  * @property {ObservableState[]} observables
- * @property {Object} summary - { entered, total, optimal, acceptable, concerning }
+ * @property {Object} summary - { entered, total, optimal, acceptable, concerning, outside, completeness, status, score_mean, score_max, weighted, drivers, confidence }
+ * @property {"robust"|"stable"|"compensating"|"strained"|null} state - From SYSTEM_STATE_RULES; null before any value has a range
+ * @property {Object[]} state_trace - Rules that fired: { rule, state, reason, metrics, observables, decisive }
  */
 
 /**
@@ -67,7 +143,16 @@ import { getReferenceStatus, getRangeDisplayText, REFERENCE_RANGES } from './ref
  * @property {number} importance - 1-5
  * @property {string} description
  * @property {MetricState[]} metrics
- * @property {Object} summary - { entered, total, status }
+ * @property {Object} summary - Same as a system's, over the observable's metrics
+ */
+
+/**
+ * Confidence — How far a summary can be relied on, from which metrics
+ * were entered and their fidelity
+ * 
+ * @typedef {Object} Confidence
+ * @property {number} score - 0-100
+ * @property {"high"|"moderate"|"low"|null} level - From CONFIDENCE_LEVELS; null when nothing was entered
  */
 
 /**
@@ -76,13 +161,43 @@ import { getReferenceStatus, getRangeDisplayText, REFERENCE_RANGES } from './ref
  * @typedef {Object} MetricState
  * @property {string} metric_id
  * @property {string} metric_name
- * @property {number|string|null} value
- * @property {string} unit
+ * @property {"numeric"|"ordinal"|"categorical"|"boolean"} type
+ * @property {Object[]} options - Allowed { value, label } pairs for non-numeric types
+ * @property {number|string|boolean|null} value
+ * @property {string|null} value_label - Option label for non-numeric values
+ * @property {string} unit - Canonical unit (the one value and ranges are in)
+ * @property {number|null} original_value - Value as entered, when entered in another unit
+ * @property {string|null} original_unit - Unit it was entered in, when not canonical
+ * @property {string|null} analyte - Unit registry key, for metrics with alternative units
+ * @property {string[]} units - Units the metric can be entered in
  * @property {number} fidelity - 1-5
+ * @property {number} weight - Weight in weighted summaries, from importance and fidelity (see getSummaryWeight)
  * @property {string} measurement_method
+ * @property {Reading[]} readings - Raw readings behind the value (empty if not entered)
+ * @property {string} aggregation - Method used to combine readings into value
  * @property {string} reference_status - "optimal"|"acceptable"|"outside_range"|"concerning"|"no_reference"|"not_entered"
+ * @property {"low"|"high"|null} deviation - Which side of the optimal range the value sits on
+ * @property {boolean} favourable - The deviation is on the side a lower_better or higher_better table counts as good (e.g. LDL-C below range)
+ * @property {number|null} score - Position in range: 0 at the optimal center, 1 at the concerning edge
+ * @property {string|null} reference_gap - Why no range applies to this person (e.g. age not covered)
+ * @property {Object[]} sex_ranges - { sex, status, deviation, score, optimal_range, range } per sex, when sex isn't male or female and the ranges are sex-specific
+ * @property {boolean} ambiguous - Those sexes' ranges disagree; the worst status is used
  * @property {string} [optimal_range] - Display text like "90–120"
  * @property {string} [context] - Measurement context
+ * @property {string[]} contexts - Contexts the metric can be recorded under (from schema)
+ * @property {string|null} reference_context - Context whose specific ranges were used, if any
+ * @property {string|null} reference_modifier - Physiological state option whose ranges were used, if any (e.g. "pregnancy_t2")
+ * @property {Object|null} reference_set - { id, name, version } of the set the range came from
+ * @property {Object|null} reference_range - The band applied: { optimal, acceptable, concerning } or { categories }
+ * @property {Object|null} citation - Where the range comes from: { id, source, year, guideline_id, url, notes }
+ * @property {boolean} derived - Computed from other entries rather than entered
+ * @property {Object[]} derived_inputs - { id, name, value, unit } the derived value was computed from
+ * @property {string|null} derivation - How a derived metric is computed, e.g. "Triglycerides ÷ HDL-C"
+ * @property {Object|null} baseline_entry - { id, name, unit } when the metric can be entered as a raw value
+ * @property {"raw"|null} entered_as - How the value was entered, for baseline metrics
+ * @property {Object|null} baseline - Comparison with the person's baseline: { id, name, unit, value, source, history, compare, raw_value, change, change_unit }
+ * @property {PlausibilityOverride|null} plausibility_override - Reason unusual readings were kept, if any
+ * @property {number[]} unconfirmed_values - Readings (canonical unit) outside the soft plausibility limits with no reason yet
  */
 
 
@@ -158,12 +273,17 @@ export async function loadEvaluationByKey(key) {
   try {
     const response = await fetch(`${API_BASE}/evaluations/${key}`);
     if (!response.ok) throw new Error('Not found');
-    return await response.json();
+    return upgradeEvaluation(await response.json());
   } catch (e) {
     console.error('Failed to load evaluation:', e);
     // Fallback to localStorage
-    const saved = localStorage.getItem(key);
-    return saved ? JSON.parse(saved) : null;
+    try {
+      const saved = localStorage.getItem(key);
+      return saved ? upgradeEvaluation(JSON.parse(saved)) : null;
+    } catch (err) {
+      console.error('Failed to load evaluation:', err);
+      return null;
+    }
   }
 }
 
@@ -180,6 +300,51 @@ export async function deleteEvaluationByKey(key) {
   localStorage.removeItem(key);
 }
 
+/**
+ * Earlier evaluations a baseline is worked out from, most recent first
+ */
+const BASELINE_HISTORY_LIMIT = 5;
+
+/**
+ * Work out baselines from the person's earlier evaluations
+ * Saved evaluations are matched by name; each baseline is the median of
+ * its history metric over the most recent of them that have it.
+ * Returns { [baselineId]: { value, source, evaluations, from, to } }
+ * for the baselines that could be filled.
+ */
+export async function findHistoricalBaselines(evaluation) {
+  const name = (evaluation.person_name || '').trim().toLowerCase();
+  if (!name) return {};
+  
+  const matches = (await listSavedEvaluations()).filter(s => s.name.trim().toLowerCase() === name);
+  const earlier = [];
+  for (const summary of matches) {
+    const past = await loadEvaluationByKey(summary.key);
+    if (past && past.id !== evaluation.id && past.created_at < evaluation.created_at) {
+      earlier.push(past);
+    }
+  }
+  earlier.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  
+  const baselines = {};
+  for (const [baselineId, definition] of Object.entries(BASELINES)) {
+    const found = earlier
+      .filter(past => typeof past.measurements[definition.history_metric]?.value === 'number')
+      .slice(0, BASELINE_HISTORY_LIMIT);
+    if (found.length === 0) continue;
+    
+    const dates = found.map(past => past.created_at.split('T')[0]);
+    baselines[baselineId] = {
+      value: AGGREGATIONS.median.fn(found.map(past => past.measurements[definition.history_metric].value)),
+      source: 'history',
+      evaluations: found.length,
+      from: dates[dates.length - 1],
+      to: dates[0]
+    };
+  }
+  return baselines;
+}
+
 // ============================================
 // Evaluation Management
 // ============================================
@@ -193,9 +358,15 @@ export function createEvaluation() {
     id: `eval-${Date.now()}`,
     created_at: now,
     updated_at: now,
+    format_version: FORMAT_VERSION,
+    schema_version: SCHEMA_VERSION,
     person_name: '',
     person_age: null,
     person_sex: null,
+    person_height: null,
+    reference_set: DEFAULT_REFERENCE_SET,
+    physiological_state: {},
+    baselines: {},
     measurements: {},
     notes: ''
   };
@@ -204,30 +375,63 @@ export function createEvaluation() {
 /**
  * Update person info in evaluation
  */
-export function updatePerson(evaluation, { name, age, sex }) {
+export function updatePerson(evaluation, { name, age, sex, height }) {
   return {
     ...evaluation,
     updated_at: new Date().toISOString(),
     person_name: name !== undefined ? name : evaluation.person_name,
     person_age: age !== undefined ? age : evaluation.person_age,
-    person_sex: sex !== undefined ? sex : evaluation.person_sex
+    person_sex: sex !== undefined ? sex : evaluation.person_sex,
+    person_height: height !== undefined ? height : (evaluation.person_height ?? null)
   };
 }
 
 /**
- * Set a measurement value
+ * Set a measurement value (a single reading)
  */
 export function setMeasurement(evaluation, metricId, value, context = null) {
+  return setReadings(evaluation, metricId, [value], { context });
+}
+
+/**
+ * Set all readings for a metric and recompute its aggregated value
+ * Readings are in `unit` (the metric's canonical unit if omitted), and are
+ * raw values to compare with the baseline when `enteredAs` is "raw".
+ * `dates` holds each value's measured_at (YYYY-MM-DD); without one, a
+ * reading keeps its earlier date, or today's when it's new.
+ * Empty readings are dropped; no readings left removes the measurement
+ */
+export function setReadings(evaluation, metricId, values, { context = null, unit = null, enteredAs = null, dates = [] } = {}) {
   const measurements = { ...evaluation.measurements };
+  const existing = measurements[metricId];
+  const previous = existing ? getMeasurementReadings(existing) : [];
+  const today = new Date().toISOString().split('T')[0];
   
-  if (value === null || value === undefined || value === '') {
+  const type = getMetricType(getMetricById(metricId));
+  const readings = values
+    .map((v, i) => ({ value: v === null || v === undefined || v === '' ? null : parseMeasurementValue(type, v), date: dates[i] || null }))
+    .filter(r => r.value !== null)
+    .map(({ value, date }, i) => ({
+      value,
+      measured_at: date || (previous[i] && previous[i].value === value ? previous[i].measured_at : today)
+    }));
+  
+  if (readings.length === 0) {
     delete measurements[metricId];
   } else {
-    measurements[metricId] = {
+    const aggregation = existing?.aggregation ?? null;
+    const measurement = {
       metric_id: metricId,
-      value: typeof value === 'string' ? parseFloat(value) : value,
-      measured_at: new Date().toISOString().split('T')[0],
-      context: context
+      ...computeMeasurementValue(metricId, readings, aggregation, unit),
+      readings,
+      aggregation,
+      measured_at: readings.map(r => r.measured_at).sort().at(-1),
+      context: context,
+      entered_as: enteredAs
+    };
+    measurements[metricId] = {
+      ...measurement,
+      plausibility_override: keepOverriddenValues(existing?.plausibility_override, getCanonicalReadings(metricId, measurement))
     };
   }
   
@@ -238,6 +442,197 @@ export function setMeasurement(evaluation, metricId, value, context = null) {
   };
 }
 
+/**
+ * Set the context a measurement was taken in (fasting, morning, etc.)
+ */
+export function setMeasurementContext(evaluation, metricId, context) {
+  const existing = evaluation.measurements[metricId];
+  if (!existing) return evaluation;
+  
+  return {
+    ...evaluation,
+    updated_at: new Date().toISOString(),
+    measurements: {
+      ...evaluation.measurements,
+      [metricId]: { ...existing, context: context || null }
+    }
+  };
+}
+
+/**
+ * Override how a metric's readings are aggregated
+ * Pass null to go back to the schema default
+ */
+export function setAggregation(evaluation, metricId, aggregation) {
+  const existing = evaluation.measurements[metricId];
+  if (!existing) return evaluation;
+  
+  const readings = getMeasurementReadings(existing);
+  return {
+    ...evaluation,
+    updated_at: new Date().toISOString(),
+    measurements: {
+      ...evaluation.measurements,
+      [metricId]: {
+        ...existing,
+        ...computeMeasurementValue(metricId, readings, aggregation, existing.unit),
+        readings,
+        aggregation
+      }
+    }
+  };
+}
+
+/**
+ * Change the unit a measurement's readings were entered in
+ * The readings keep their numbers; only their interpretation changes, so
+ * an override reason only still covers readings whose canonical value it named.
+ */
+export function setMeasurementUnit(evaluation, metricId, unit) {
+  const existing = evaluation.measurements[metricId];
+  if (!existing) return evaluation;
+  
+  const readings = getMeasurementReadings(existing);
+  const measurement = {
+    ...existing,
+    ...computeMeasurementValue(metricId, readings, existing.aggregation, unit),
+    readings
+  };
+  return {
+    ...evaluation,
+    updated_at: new Date().toISOString(),
+    measurements: {
+      ...evaluation.measurements,
+      [metricId]: {
+        ...measurement,
+        plausibility_override: keepOverriddenValues(existing.plausibility_override, getCanonicalReadings(metricId, measurement))
+      }
+    }
+  };
+}
+
+/**
+ * Switch a baseline metric between entering the change and the raw value
+ */
+export function setEntryMode(evaluation, metricId, enteredAs) {
+  const existing = evaluation.measurements[metricId];
+  if (!existing) return evaluation;
+  
+  return {
+    ...evaluation,
+    updated_at: new Date().toISOString(),
+    measurements: {
+      ...evaluation.measurements,
+      [metricId]: { ...existing, entered_as: enteredAs || null }
+    }
+  };
+}
+
+/**
+ * Record why readings outside a metric's soft plausibility limits are kept
+ * `values` are those readings in the canonical unit; they're added to any
+ * the measurement already has a reason for, under the new reason.
+ */
+export function setPlausibilityOverride(evaluation, metricId, reason, values) {
+  const existing = evaluation.measurements[metricId];
+  if (!existing) return evaluation;
+  
+  const previous = existing.plausibility_override?.values || [];
+  return {
+    ...evaluation,
+    updated_at: new Date().toISOString(),
+    measurements: {
+      ...evaluation.measurements,
+      [metricId]: {
+        ...existing,
+        plausibility_override: {
+          reason,
+          values: [...new Set([...previous, ...values])],
+          overridden_at: new Date().toISOString()
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Readings of a measurement in the metric's canonical unit
+ */
+export function getCanonicalReadings(metricId, measurement) {
+  const metric = getMetricById(metricId);
+  return getMeasurementReadings(measurement).map(r => 
+    metric?.analyte && typeof r.value === 'number' ? toCanonical(metric.analyte, r.value, measurement.unit) : r.value
+  );
+}
+
+/**
+ * Narrow an override to the readings still present; null once none are
+ */
+function keepOverriddenValues(override, values) {
+  if (!override) return null;
+  const kept = override.values.filter(v => values.includes(v));
+  return kept.length > 0 ? { ...override, values: kept } : null;
+}
+
+/**
+ * Set the person's baseline for a BASELINES entry
+ * `details` describes where it came from; a null value removes it.
+ */
+export function setBaseline(evaluation, baselineId, value, details = { source: 'entered' }) {
+  const baselines = { ...evaluation.baselines };
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    delete baselines[baselineId];
+  } else {
+    baselines[baselineId] = { ...details, value, updated_at: new Date().toISOString() };
+  }
+  
+  return {
+    ...evaluation,
+    updated_at: new Date().toISOString(),
+    baselines
+  };
+}
+
+/**
+ * Record a physiological state (a PHYSIOLOGICAL_STATES key) as one of its
+ * options; a null option clears it
+ */
+export function setPhysiologicalState(evaluation, state, option) {
+  const physiological_state = { ...evaluation.physiological_state };
+  if (option) {
+    physiological_state[state] = option;
+  } else {
+    delete physiological_state[state];
+  }
+  
+  return {
+    ...evaluation,
+    updated_at: new Date().toISOString(),
+    physiological_state
+  };
+}
+
+/**
+ * Modifiers an evaluation's ranges are looked up with, in PHYSIOLOGICAL_STATES order
+ */
+export function getActiveModifiers(evaluation) {
+  const selected = evaluation.physiological_state || {};
+  return Object.entries(PHYSIOLOGICAL_STATES)
+    .filter(([state, definition]) => definition.options[selected[state]])
+    .map(([state]) => selected[state]);
+}
+
+/**
+ * Choose the reference range set the evaluation is classified against
+ */
+export function setReferenceSet(evaluation, setId) {
+  return {
+    ...evaluation,
+    updated_at: new Date().toISOString(),
+    reference_set: setId
+  };
+}
+
 /**
  * Update doctor notes
  */
@@ -250,6 +645,110 @@ export function updateNotes(evaluation, notes) {
 }
 
 
+// ============================================
+// Readings & Aggregation
+// ============================================
+
+/**
+ * Parse a raw input value according to the metric's type
+ * Returns null when the value can't be read as that type
+ */
+export function parseMeasurementValue(type, raw) {
+  switch (type) {
+    case 'categorical':
+      return String(raw);
+    case 'boolean':
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      return null;
+    case 'ordinal':
+    case 'numeric':
+    default: {
+      const num = typeof raw === 'string' ? parseFloat(raw) : raw;
+      return typeof num === 'number' && !Number.isNaN(num) ? num : null;
+    }
+  }
+}
+
+/**
+ * Ways to combine several readings into one value.
+ * discard_first_mean follows the common BP protocol of ignoring the
+ * first (often elevated) reading when there is more than one.
+ */
+export const AGGREGATIONS = {
+  mean: { label: 'mean', fn: values => values.reduce((a, b) => a + b, 0) / values.length },
+  median: {
+    label: 'median',
+    fn: values => {
+      const sorted = [...values].sort((a, b) => a - b);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+  },
+  discard_first_mean: {
+    label: 'mean, first discarded',
+    fn: values => AGGREGATIONS.mean.fn(values.length > 1 ? values.slice(1) : values)
+  },
+  min: { label: 'lowest', fn: values => Math.min(...values) },
+  max: { label: 'highest', fn: values => Math.max(...values) }
+};
+
+const DEFAULT_AGGREGATION = 'mean';
+
+/**
+ * Get the schema's aggregation method for a metric
+ */
+export function getDefaultAggregation(metricId) {
+  const metric = getMetricById(metricId);
+  return metric?.aggregation || DEFAULT_AGGREGATION;
+}
+
+/**
+ * Combine readings into a single value
+ */
+export function aggregateReadings(readings, method = DEFAULT_AGGREGATION) {
+  if (readings.length === 0) return null;
+  
+  // Non-numeric readings can't be averaged; the latest one stands
+  const values = readings.map(r => r.value);
+  if (values.some(v => typeof v !== 'number')) return values[values.length - 1];
+  
+  const aggregation = AGGREGATIONS[method] || AGGREGATIONS[DEFAULT_AGGREGATION];
+  return aggregation.fn(values);
+}
+
+/**
+ * Aggregate readings and convert the result to the metric's canonical unit
+ * Returns the Measurement fields { value, original_value, unit }
+ */
+function computeMeasurementValue(metricId, readings, aggregation, unit) {
+  const metric = getMetricById(metricId);
+  const aggregated = aggregateReadings(readings, aggregation || metric?.aggregation || DEFAULT_AGGREGATION);
+  const canonicalUnit = metric?.unit ?? null;
+  
+  if (!metric?.analyte || !unit || unit === canonicalUnit || typeof aggregated !== 'number') {
+    return { value: aggregated, original_value: aggregated, unit: canonicalUnit };
+  }
+  
+  return {
+    value: toCanonical(metric.analyte, aggregated, unit),
+    original_value: aggregated,
+    unit
+  };
+}
+
+/**
+ * Get the readings of a measurement
+ * Measurements saved before readings existed hold a single value
+ */
+export function getMeasurementReadings(measurement) {
+  if (!measurement) return [];
+  if (Array.isArray(measurement.readings)) return measurement.readings;
+  if (measurement.value === null || measurement.value === undefined) return [];
+  return [{ value: measurement.value, measured_at: measurement.measured_at }];
+}
+
+
 // ============================================
 // Health State Builder
 // ============================================
@@ -259,10 +758,16 @@ export function updateNotes(evaluation, notes) {
  * This is the main "state vector" that represents the person's health
  */
 export function buildHealthState(evaluation) {
-  const { person_age, person_sex, person_name, measurements } = evaluation;
+  const { person_age, person_sex, person_name } = evaluation;
+  
+  // Derived metrics replace hand-entered values whenever their inputs are present,
+  // raw values of baseline metrics become the change from baseline
+  const measurements = applyBaselines(evaluation, { ...evaluation.measurements, ...computeDerivedMeasurements(evaluation) });
   
   // Build each system's state
-  const systems = BRANCHES.map(branch => buildSystemState(branch, measurements, person_age, person_sex));
+  const referenceSet = getReferenceSet(evaluation.reference_set);
+  const modifiers = getActiveModifiers(evaluation);
+  const systems = BRANCHES.map(branch => buildSystemState(branch, measurements, person_age, person_sex, referenceSet.id, modifiers));
   
   // Compute overall summary
   const summary = computeOverallSummary(systems);
@@ -271,9 +776,13 @@ export function buildHealthState(evaluation) {
     person: {
       name: person_name,
       age: person_age,
-      sex: person_sex
+      sex: person_sex,
+      height: evaluation.person_height ?? null,
+      physiological_state: evaluation.physiological_state || {}
     },
     evaluation_id: evaluation.id,
+    reference_set: { id: referenceSet.id, name: referenceSet.name, version: referenceSet.version },
+    baselines: evaluation.baselines || {},
     created_at: evaluation.created_at,
     updated_at: evaluation.updated_at,
     systems,
@@ -285,33 +794,45 @@ export function buildHealthState(evaluation) {
 /**
  * Build state for one system
  */
-function buildSystemState(branch, measurements, age, sex) {
+function buildSystemState(branch, measurements, age, sex, referenceSet, modifiers) {
   const observables = branch.observables.map(obs => 
-    buildObservableState(obs, measurements, age, sex)
+    buildObservableState(obs, measurements, age, sex, referenceSet, modifiers)
   );
   
   // Compute system summary
   const allMetrics = observables.flatMap(o => o.metrics);
-  const summary = computeMetricsSummary(allMetrics);
+  const summary = {
+    ...computeMetricsSummary(allMetrics),
+    drivers: computeDrivers(observables),
+    confidence: computeCombinedConfidence(observables)
+  };
+  const { state, trace } = classifySystemState(observables, summary.score_mean);
   
   return {
     branch_id: branch.branch_id,
     branch_name: branch.branch_name,
     observables,
-    summary
+    summary,
+    state,
+    state_trace: trace
   };
 }
 
 /**
  * Build state for one observable
  */
-function buildObservableState(observable, measurements, age, sex) {
-  const metrics = observable.metrics.map(metric => 
-    buildMetricState(metric, measurements, age, sex)
-  );
+function buildObservableState(observable, measurements, age, sex, referenceSet, modifiers) {
+  const metrics = observable.metrics.map(metric => ({
+    ...buildMetricState(metric, measurements, age, sex, referenceSet, modifiers),
+    weight: getSummaryWeight(observable.importance, metric.fidelity)
+  }));
   
   // Compute observable summary
-  const summary = computeMetricsSummary(metrics);
+  const summary = {
+    ...computeMetricsSummary(metrics),
+    drivers: computeDrivers([{ observable_id: observable.observable_id, observable_name: observable.observable_name, metrics }]),
+    confidence: computeObservableConfidence(metrics)
+  };
   
   return {
     observable_id: observable.observable_id,
@@ -326,28 +847,140 @@ function buildObservableState(observable, measurements, age, sex) {
 /**
  * Build state for one metric
  */
-function buildMetricState(metric, measurements, age, sex) {
+function buildMetricState(metric, measurements, age, sex, referenceSet = DEFAULT_REFERENCE_SET, modifiers = []) {
   const measurement = measurements[metric.metric_id];
   const value = measurement?.value ?? null;
   const context = measurement?.context ?? null;
+  const readings = getMeasurementReadings(measurement);
+  const aggregation = measurement?.aggregation || metric.aggregation || DEFAULT_AGGREGATION;
+  const enteredInOtherUnit = measurement?.unit && measurement.unit !== metric.unit;
   
-  const reference_status = getReferenceStatus(metric.metric_id, value, age, sex);
-  const optimal_range = getRangeDisplayText(metric.metric_id, age, sex);
+  const type = getMetricType(metric);
+  const options = getMetricOptions(metric);
+  const value_label = options.find(o => o.value === value)?.label ?? null;
+  
+  // A person who isn't recorded as male or female is classified against
+  // each sex's range and gets the worst of them
+  const lookup = { context, referenceSet, modifiers };
+  const results = getLookupSexes(metric.metric_id, sex, referenceSet)
+    .map(lookupSex => classifyForSex(metric, value, age, lookupSex, lookup));
+  const classified = results.filter(r => r.range);
+  const worst = classified.reduce((a, b) => compareSeverity(b, a) > 0 ? b : a, classified[0] || results[0]);
+  const sex_ranges = results.length > 1 ? results.map(({ citation, modifier, gap, ...r }) => r) : [];
+  const ambiguous = new Set(sex_ranges.map(r => r.status)).size > 1;
+  
+  let { status: reference_status, deviation, gap: reference_gap } = worst;
+  const { score, range: reference_range, citation, modifier: reference_modifier } = worst;
+  let optimal_range = worst.optimal_range;
+  if (sex_ranges.some(r => r.optimal_range !== optimal_range)) {
+    optimal_range = sex_ranges.map(r => `${SEX_ABBREVIATIONS[r.sex]} ${r.optimal_range || 'none'}`).join(' · ');
+  }
+  
+  // Entered as a raw value, but there's no baseline to compare it with yet;
+  // metrics classified by the value itself keep their status
+  const baseline = measurement?.baseline ?? null;
+  if (baseline && baseline.change === null && acceptsRawEntry(metric) && measurement.entered_as === 'raw') {
+    reference_status = 'no_reference';
+    reference_gap = `${baseline.name} baseline needed to compare ${formatMetricValue({ value: baseline.raw_value })} ${baseline.unit}`;
+  }
+  const rangeSource = getRangeSource(metric.metric_id, referenceSet);
   
   return {
     metric_id: metric.metric_id,
     metric_name: metric.metric_name,
+    type,
+    options,
     value,
+    value_label,
     unit: metric.unit,
+    original_value: enteredInOtherUnit ? measurement.original_value : null,
+    original_unit: enteredInOtherUnit ? measurement.unit : null,
+    analyte: metric.analyte || null,
+    units: metric.analyte ? getAnalyteUnits(metric.analyte) : [],
     fidelity: metric.fidelity,
     measurement_method: metric.measurement_method,
     how_well_it_measures: metric.how_well_it_measures,
+    readings,
+    aggregation,
     reference_status,
+    deviation,
+    favourable: isFavourableDeviation(metric.metric_id, deviation, referenceSet),
+    score,
+    reference_gap,
+    sex_ranges,
+    ambiguous,
     optimal_range,
-    context
+    context,
+    contexts: metric.contexts || [],
+    reference_context: reference_modifier ? null : getAppliedContext(metric.metric_id, context, referenceSet),
+    reference_modifier,
+    reference_set: rangeSource ? { id: rangeSource.id, name: rangeSource.name, version: rangeSource.version } : null,
+    reference_range,
+    citation,
+    derived: measurement?.derived === true,
+    derived_inputs: measurement?.derived_inputs || [],
+    derivation: describeDerivation(metric),
+    baseline_entry: acceptsRawEntry(metric) ? { id: metric.baseline.id, ...BASELINES[metric.baseline.id] } : null,
+    entered_as: measurement?.entered_as ?? null,
+    baseline,
+    plausibility_override: measurement?.plausibility_override ?? null,
+    unconfirmed_values: getUnconfirmedValues(metric, measurement)
   };
 }
 
+/**
+ * Readings outside the soft plausibility limits that no reason covers yet
+ * They're saved and used like any other reading until confirmed.
+ */
+function getUnconfirmedValues(metric, measurement) {
+  if (!measurement || measurement.derived || getMetricType(metric) !== 'numeric') return [];
+  return getCanonicalReadings(metric.metric_id, measurement).filter(value =>
+    typeof value === 'number' &&
+    checkPlausibility(metric, value, { enteredAs: measurement.entered_as })?.level === 'soft' &&
+    !isOverridden(measurement, value)
+  );
+}
+
+const SEX_ABBREVIATIONS = { male: 'M', female: 'F' };
+
+/**
+ * Order of statuses from best to worst, for picking the worst case
+ */
+const STATUS_SEVERITY = ['not_entered', 'no_reference', 'optimal', 'acceptable', 'outside_range', 'concerning'];
+
+function compareSeverity(a, b) {
+  return STATUS_SEVERITY.indexOf(a.status) - STATUS_SEVERITY.indexOf(b.status) || (a.score ?? 0) - (b.score ?? 0);
+}
+
+/**
+ * Classify a value against one sex's range
+ * Returns { sex, status, deviation, score, optimal_range, range, citation, modifier, gap }
+ */
+function classifyForSex(metric, value, age, sex, lookup) {
+  const metricId = metric.metric_id;
+  const { status, deviation } = classifyValue(metricId, value, age, sex, lookup);
+  
+  let optimal_range = getRangeDisplayText(metricId, age, sex, lookup);
+  const options = getMetricOptions(metric);
+  if (optimal_range && getMetricType(metric) !== 'numeric' && options.length > 0) {
+    // Show option labels rather than raw keys, e.g. "Pass" instead of "pass"
+    optimal_range = optimal_range.split(' / ')
+      .map(key => options.find(o => String(o.value) === key)?.label || key)
+      .join(' / ');
+  }
+  
+  return {
+    sex,
+    status,
+    deviation,
+    score: getRangePosition(metricId, value, age, sex, lookup),
+    optimal_range,
+    range: getReferenceRange(metricId, age, sex, lookup),
+    citation: getRangeCitation(metricId, age, sex, lookup),
+    modifier: getAppliedModifier(metricId, age, sex, lookup),
+    gap: getReferenceGap(metricId, age, sex, lookup)
+  };
+}
 
 // ============================================
 // Summary Computation
@@ -355,6 +988,9 @@ function buildMetricState(metric, measurements, age, sex) {
 
 /**
  * Compute summary stats for a set of metrics
+ * Counts are plain; `weighted` repeats them as sums of metric weights, so
+ * a strong signal counts for more than a weak proxy, and score_mean is
+ * weighted the same way.
  */
 function computeMetricsSummary(metrics) {
   const total = metrics.length;
@@ -386,22 +1022,152 @@ function computeMetricsSummary(metrics) {
     concerning,
     outside,
     completeness: total > 0 ? Math.round((entered / total) * 100) : 0,
-    status
+    status,
+    ...computeScoreSummary(metrics),
+    weighted: computeWeightedCounts(metrics)
+  };
+}
+
+/**
+ * Sums of metric weights by status: { total, entered, optimal,
+ * acceptable, concerning, outside, completeness }, completeness being the
+ * percentage of the total weight entered
+ */
+function computeWeightedCounts(metrics) {
+  const sum = filter => metrics.filter(filter).reduce((total, m) => total + m.weight, 0);
+  const total = sum(() => true);
+  const entered = sum(m => m.reference_status !== 'not_entered');
+  
+  return {
+    total,
+    entered,
+    optimal: sum(m => m.reference_status === 'optimal'),
+    acceptable: sum(m => m.reference_status === 'acceptable'),
+    concerning: sum(m => m.reference_status === 'concerning'),
+    outside: sum(m => m.reference_status === 'outside_range'),
+    completeness: total > 0 ? Math.round((entered / total) * 100) : 0
+  };
+}
+
+/**
+ * Weighted mean and worst case of metric scores
+ * Both are null when no entered metric has a score.
+ */
+function computeScoreSummary(metrics) {
+  const scored = metrics.filter(m => m.score !== null && m.score !== undefined);
+  if (scored.length === 0) return { score_mean: null, score_max: null };
+  
+  const totalWeight = scored.reduce((sum, m) => sum + m.weight, 0);
+  const weightedSum = scored.reduce((sum, m) => sum + m.score * m.weight, 0);
+  
+  return {
+    score_mean: totalWeight > 0 ? weightedSum / totalWeight : null,
+    score_max: Math.max(...scored.map(m => m.score))
   };
 }
 
+/**
+ * How much a status counts towards a driver's impact
+ */
+const DRIVER_SEVERITY = { optimal: 0, acceptable: 1, outside_range: 2, concerning: 3 };
+
+/**
+ * Rank the metrics behind an assessment (see Driver)
+ * Off-optimal values by weight × severity, then by position in range;
+ * with none, the optimal values by weight. Values past the ranges on the
+ * favourable side (LDL-C below range) count as support, like optimal ones.
+ */
+function computeDrivers(observables) {
+  const drivers = observables.flatMap(o => o.metrics
+    .filter(m => m.reference_status in DRIVER_SEVERITY)
+    .map(m => {
+      const severity = m.favourable ? DRIVER_SEVERITY.optimal : DRIVER_SEVERITY[m.reference_status];
+      return {
+        metric_id: m.metric_id,
+        metric_name: m.metric_name,
+        observable_id: o.observable_id,
+        observable_name: o.observable_name,
+        type: m.type,
+        value: m.value,
+        value_label: m.value_label,
+        unit: m.unit,
+        reference_status: m.reference_status,
+        deviation: m.deviation,
+        score: m.score,
+        weight: m.weight,
+        severity,
+        impact: m.weight * severity,
+        effect: severity > 0 ? 'strain' : 'support'
+      };
+    })
+  );
+  
+  const strain = drivers.filter(d => d.effect === 'strain');
+  if (strain.length > 0) {
+    return strain.sort((a, b) => b.impact - a.impact || (b.score ?? 0) - (a.score ?? 0));
+  }
+  return drivers.sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Confidence levels, each reached from its `min` score
+ */
+export const CONFIDENCE_LEVELS = {
+  high: { label: 'High confidence', min: 75 },
+  moderate: { label: 'Moderate confidence', min: 50 },
+  low: { label: 'Low confidence', min: 0 }
+};
+
+/**
+ * Confidence in an observable from the metrics entered for it
+ * Each counts as evidence as reliable as its fidelity is high on its
+ * scale, and they add up: the score is the chance that not all of them
+ * miss, so a fidelity-5 test alone gives 100, one fidelity-2 proxy 40 and
+ * two of them 64.
+ */
+function computeObservableConfidence(metrics) {
+  const measured = metrics.filter(m => m.reference_status !== 'not_entered');
+  if (measured.length === 0) return { score: 0, level: null };
+  
+  const { max } = SCALE_DEFINITIONS.metric_fidelity_to_observable;
+  const doubt = measured.reduce((product, m) => product * (1 - Math.min(m.fidelity, max) / max), 1);
+  return toConfidence((1 - doubt) * 100);
+}
+
+/**
+ * Confidence across observables: their scores averaged by importance
+ * weight, observables with nothing entered counting 0
+ */
+function computeCombinedConfidence(observables) {
+  if (observables.every(o => o.summary.confidence.level === null)) return { score: 0, level: null };
+  
+  const totalWeight = observables.reduce((sum, o) => sum + getImportanceWeight(o.importance), 0);
+  const weightedSum = observables.reduce((sum, o) => sum + o.summary.confidence.score * getImportanceWeight(o.importance), 0);
+  return toConfidence(totalWeight > 0 ? weightedSum / totalWeight : 0);
+}
+
+function toConfidence(score) {
+  const rounded = Math.round(score);
+  const level = Object.keys(CONFIDENCE_LEVELS).find(key => rounded >= CONFIDENCE_LEVELS[key].min);
+  return { score: rounded, level };
+}
+
 /**
  * Compute overall summary across all systems
  */
 function computeOverallSummary(systems) {
   const allMetrics = systems.flatMap(s => s.observables.flatMap(o => o.metrics));
-  const metricsSummary = computeMetricsSummary(allMetrics);
+  const metricsSummary = {
+    ...computeMetricsSummary(allMetrics),
+    confidence: computeCombinedConfidence(systems.flatMap(s => s.observables))
+  };
   
   // Per-system breakdown
   const systemBreakdown = systems.map(s => ({
     branch_id: s.branch_id,
     branch_name: s.branch_name,
-    ...s.summary
+    ...s.summary,
+    state: s.state
   }));
   
   return {
@@ -464,7 +1230,7 @@ export function loadEvaluation() {
   try {
     const saved = localStorage.getItem(CURRENT_KEY);
     if (saved) {
-      return JSON.parse(saved);
+      return upgradeEvaluation(JSON.parse(saved));
     }
   } catch (e) {
     console.error('Failed to load evaluation:', e);
@@ -472,6 +1238,26 @@ export function loadEvaluation() {
   return null;
 }
 
+/**
+ * Run an evaluation read from storage or a file through the migrations
+ * Notices about what changed are attached as `migration_notices` for
+ * the UI to show; throws if the data can't be migrated.
+ */
+function upgradeEvaluation(data) {
+  const { evaluation, notices } = migrateEvaluation(data);
+  if (notices.length === 0) return evaluation;
+  return { ...evaluation, migration_notices: notices };
+}
+
+/**
+ * Remove migration notices once they've been shown
+ */
+export function acknowledgeMigrationNotices(evaluation) {
+  if (!evaluation.migration_notices) return evaluation;
+  const { migration_notices, ...rest } = evaluation;
+  return rest;
+}
+
 /**
  * Clear saved evaluation
  */
@@ -490,7 +1276,7 @@ export function clearEvaluation() {
 export function exportEvaluationJSON(evaluation) {
   const healthState = buildHealthState(evaluation);
   return JSON.stringify({
-    version: '1.0',
+    version: FORMAT_VERSION,
     exported_at: new Date().toISOString(),
     evaluation,
     health_state: healthState
@@ -499,18 +1285,38 @@ export function exportEvaluationJSON(evaluation) {
 
 /**
  * Import evaluation from JSON string
+ * Accepts an export file or a bare evaluation. Returns the migrated
+ * evaluation together with the issues found in it:
+ *   { evaluation, errors, warnings }
+ * `evaluation` is null when the file can't be read at all.
  */
 export function importEvaluationJSON(jsonString) {
+  let data;
   try {
-    const data = JSON.parse(jsonString);
-    if (data.evaluation) {
-      return data.evaluation;
-    }
-    throw new Error('Invalid evaluation format');
+    data = JSON.parse(jsonString);
+  } catch (e) {
+    return { evaluation: null, errors: [{ path: '', message: `Not a valid JSON file: ${e.message}` }], warnings: [] };
+  }
+  
+  const raw = data?.evaluation ? { format_version: data.version, ...data.evaluation } : data;
+  
+  // Metrics the schema doesn't define (removed, or from an extension that
+  // isn't loaded) are kept aside with a notice rather than failing the import
+  let evaluation;
+  try {
+    evaluation = upgradeEvaluation(raw);
   } catch (e) {
-    console.error('Failed to import evaluation:', e);
-    return null;
+    return { evaluation: null, errors: [{ path: '', message: e.message }], warnings: [] };
   }
+  
+  const { errors, warnings } = validateEvaluation(evaluation);
+  const notices = (evaluation.migration_notices || []).map(message => ({ path: 'migration', message }));
+  
+  return {
+    evaluation: acknowledgeMigrationNotices(evaluation),
+    errors,
+    warnings: [...notices, ...warnings]
+  };
 }
 
 /**
@@ -531,6 +1337,96 @@ export function downloadEvaluation(evaluation) {
 }
 
 
+// ============================================
+// Clinic Range Overrides
+// ============================================
+
+const CLINIC_RANGES_KEY = 'health-clinic-ranges';
+const CLINIC_RANGES_FORMAT = 'clinic-range-overrides';
+const CLINIC_RANGES_VERSION = '1.0';
+
+/**
+ * Load the clinic's saved range overrides and apply them to lookups
+ */
+export function loadClinicRanges() {
+  try {
+    const saved = localStorage.getItem(CLINIC_RANGES_KEY);
+    if (saved) setClinicOverrides(JSON.parse(saved).ranges);
+  } catch (e) {
+    console.error('Failed to load clinic ranges:', e);
+  }
+  return getClinicOverrides();
+}
+
+/**
+ * Save range overrides and apply them to lookups
+ * Returns false if they couldn't be stored.
+ */
+export function saveClinicRanges(ranges) {
+  setClinicOverrides(ranges);
+  try {
+    localStorage.setItem(CLINIC_RANGES_KEY, JSON.stringify(createClinicRangesFile(ranges)));
+    return true;
+  } catch (e) {
+    console.error('Failed to save clinic ranges:', e);
+    return false;
+  }
+}
+
+function createClinicRangesFile(ranges) {
+  return {
+    format: CLINIC_RANGES_FORMAT,
+    version: CLINIC_RANGES_VERSION,
+    updated_at: new Date().toISOString(),
+    ranges
+  };
+}
+
+/**
+ * Export the saved overrides as JSON so other clinics can use them
+ */
+export function exportClinicRangesJSON() {
+  return JSON.stringify(createClinicRangesFile(getClinicOverrides()), null, 2);
+}
+
+/**
+ * Read range overrides from an exported file
+ * Returns { ranges, errors, warnings } in the same shape as
+ * importEvaluationJSON; `ranges` is null when the file can't be used.
+ */
+export function importClinicRangesJSON(jsonString) {
+  let data;
+  try {
+    data = JSON.parse(jsonString);
+  } catch (e) {
+    return { ranges: null, errors: [{ path: '', message: `Not a valid JSON file: ${e.message}` }], warnings: [] };
+  }
+  
+  if (data?.format !== CLINIC_RANGES_FORMAT || !data.ranges || typeof data.ranges !== 'object') {
+    return { ranges: null, errors: [{ path: '', message: 'This file does not contain clinic range overrides' }], warnings: [] };
+  }
+  
+  const { errors, warnings } = validateClinicRanges(data.ranges);
+  return { ranges: errors.length === 0 ? data.ranges : null, errors, warnings };
+}
+
+/**
+ * Trigger download of the clinic's range overrides
+ */
+export function downloadClinicRanges() {
+  const blob = new Blob([exportClinicRangesJSON()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `clinic-ranges-${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+
 // ============================================
 // Utility Functions
 // ============================================
@@ -551,6 +1447,36 @@ export function isEvaluationValid(evaluation) {
          Object.keys(evaluation.measurements).length > 0;
 }
 
+/**
+ * Share of a summary's entered weight with the given statuses, as a
+ * rounded percentage, e.g. getWeightedShare(summary, 'concerning', 'outside');
+ * null when nothing is entered
+ */
+export function getWeightedShare(summary, ...statuses) {
+  const { weighted } = summary;
+  if (weighted.entered === 0) return null;
+  const weight = statuses.reduce((sum, status) => sum + weighted[status], 0);
+  return Math.round((weight / weighted.entered) * 100);
+}
+
+/**
+ * Get display text for a confidence, e.g. "Low confidence (32%)"; null
+ * when nothing was entered
+ */
+export function formatConfidence(confidence) {
+  if (!confidence?.level) return null;
+  return `${CONFIDENCE_LEVELS[confidence.level].label} (${confidence.score}%)`;
+}
+
+/**
+ * Get display text for a driver, e.g. "Resting systolic blood pressure
+ * 150 mmHg (very high)"
+ */
+export function formatDriver(driver) {
+  const deviation = formatDeviation(driver);
+  return `${driver.metric_name} ${formatMetricValueWithUnit(driver)}${deviation ? ` (${deviation})` : ''}`;
+}
+
 /**
  * Get display text for a metric value
  */
@@ -559,6 +1485,10 @@ export function formatMetricValue(metricState) {
     return '—';
   }
   
+  if (metricState.value_label) {
+    return metricState.value_label;
+  }
+  
   // Format number to reasonable precision
   const val = metricState.value;
   if (typeof val === 'number') {
@@ -566,9 +1496,103 @@ export function formatMetricValue(metricState) {
     if (Number.isInteger(val) || Math.abs(val - Math.round(val)) < 0.01) {
       return Math.round(val).toString();
     }
-    // Otherwise show 1-2 decimal places
-    return val.toFixed(1);
+    // Otherwise show 1-2 decimal places (ratios below 1 need the second)
+    return Math.abs(val) < 1 ? val.toFixed(2) : val.toFixed(1);
   }
   
   return String(val);
 }
+
+/**
+ * Get display text for a metric value with its unit
+ * Non-numeric values are shown by label alone
+ */
+export function formatMetricValueWithUnit(metricState) {
+  const text = formatMetricValue(metricState);
+  if (metricState.type !== 'numeric' || text === '—') return text;
+  return `${text} ${metricState.unit}`;
+}
+
+/**
+ * Wording for how far a value is off optimal and on which side
+ * e.g. "high", "very low", "above range"; null when optimal or not applicable
+ */
+export function formatDeviation(metricState) {
+  const { reference_status: status, deviation } = metricState;
+  if (!deviation) return null;
+  
+  if (status === 'acceptable') return deviation;
+  if (status === 'concerning') return `very ${deviation}`;
+  if (status === 'outside_range') return deviation === 'low' ? 'below range' : 'above range';
+  return null;
+}
+
+/**
+ * Per-sex statuses for a metric classified against both sexes' ranges
+ * e.g. "male: optimal, female: high"; null when only one range applied
+ */
+export function formatSexRanges(metricState) {
+  if (!metricState.sex_ranges?.length) return null;
+  
+  return metricState.sex_ranges
+    .map(r => `${r.sex}: ${formatDeviation({ reference_status: r.status, deviation: r.deviation }) || r.status.replace('_', ' ')}`)
+    .join(', ');
+}
+
+/**
+ * Label for the physiological state a metric's range was adjusted for
+ * e.g. "Pregnant, second trimester"; null when the usual range applied
+ */
+export function formatReferenceModifier(metricState) {
+  const modifier = metricState.reference_modifier;
+  if (!modifier) return null;
+  
+  const state = Object.values(PHYSIOLOGICAL_STATES).find(s => s.options[modifier]);
+  return state ? state.options[modifier] : modifier;
+}
+
+/**
+ * Get display text for a raw value against the person's baseline
+ * e.g. "63 bpm vs baseline 58 bpm (+5 bpm)"; null without a baseline
+ */
+export function formatBaseline(metricState) {
+  const b = metricState.baseline;
+  if (!b || b.value === null) return null;
+  
+  const change = b.change === null ? '' : ` (${b.change > 0 ? '+' : ''}${formatMetricValue({ value: b.change })}${b.change_unit === '%' ? '%' : ' ' + b.change_unit})`;
+  return `${formatMetricValue({ value: b.raw_value })} ${b.unit} vs baseline ${formatMetricValue({ value: b.value })} ${b.unit}${change}`;
+}
+
+/**
+ * Where a baseline came from, e.g. "median of 3 evaluations, 2026-01-10 – 2026-06-02"
+ */
+export function formatBaselineSource(baseline) {
+  if (!baseline) return '';
+  if (baseline.source !== 'history') return 'entered';
+  
+  // A stored Baseline, or a MetricState's baseline with the details under `history`
+  const { evaluations, from, to } = baseline.history || baseline;
+  const span = from === to ? from : `${from} – ${to}`;
+  return `median of ${evaluations} earlier evaluation${evaluations === 1 ? '' : 's'}, ${span}`;
+}
+
+/**
+ * Get display text for the inputs a derived value was computed from
+ * e.g. "Triglycerides 150 mg/dL, HDL-C 50 mg/dL"
+ */
+export function formatDerivedInputs(metricState) {
+  return metricState.derived_inputs
+    .map(i => `${i.name} ${formatMetricValue({ value: i.value })}${i.unit ? ' ' + i.unit : ''}`)
+    .join(', ');
+}
+
+/**
+ * Get display text for the value as originally entered, if it was
+ * entered in a unit other than the canonical one (e.g. "5.2 mmol/L")
+ */
+export function formatOriginalValue(metricState) {
+  if (metricState.original_unit === null || metricState.original_value === null) return null;
+  
+  const text = formatMetricValue({ ...metricState, value: metricState.original_value, value_label: null });
+  return `${text} ${metricState.original_unit}`;
+}
@@ -0,0 +1,206 @@
+/**
+ * System States
+ *
+ * Each system is summarised as one of SYSTEM_STATES by the transparent
+ * rules in SYSTEM_STATE_RULES. Rules look at observable importance, metric
+ * fidelity and how far values sit from optimal (the reference status and
+ * the position score from references.js); the worst state any rule gives
+ * wins, and `stable` applies when none fires. A value past the ranges on
+ * the favourable side of its table (LDL-C below range, HRV above) is
+ * treated as optimal rather than as strain.
+ *
+ * Every rule that fired is kept as a trace entry so the reason can be shown:
+ *
+ *   { rule, state, reason, metrics, observables, decisive }
+ *
+ * `metrics` and `observables` are the IDs the rule matched; `decisive`
+ * marks the rules that set the state.
+ */
+
+export const SYSTEM_STATES = {
+  robust: {
+    label: "Robust",
+    rank: 0,
+    description: "Core signals measured and optimal, with reserve to spare"
+  },
+  stable: {
+    label: "Stable",
+    rank: 1,
+    description: "Within expected ranges, without signs of strain"
+  },
+  compensating: {
+    label: "Compensating",
+    rank: 2,
+    description: "Holding within range, but some signals suggest it is working harder to stay there"
+  },
+  strained: {
+    label: "Strained",
+    rank: 3,
+    description: "Strong signals outside expected ranges"
+  }
+};
+
+/** Observables this important count as core to their system */
+const CORE_IMPORTANCE = 4;
+
+/** importance × fidelity at which a metric counts as a strong signal (4 × 4) */
+const STRONG_SIGNAL = 16;
+
+/** Metrics below this fidelity are too weak to speak for an observable */
+const MIN_FIDELITY = 3;
+
+/**
+ * Importance- and fidelity-weighted mean position score (summary.score_mean);
+ * acceptable values alone can reach the strained level, so it only counts
+ * as strain alongside values outside expected ranges. Optimal values away
+ * from the center of their band score above 0 too, so it never counts
+ * when every value is optimal.
+ */
+const STRAINED_DEVIATION = 0.6;
+const COMPENSATING_DEVIATION = 0.35;
+const ROBUST_DEVIATION = 0.2;
+
+const CLASSIFIED = ["optimal", "acceptable", "outside_range", "concerning"];
+const ATTENTION = ["outside_range", "concerning"];
+
+const isClassified = m => CLASSIFIED.includes(m.reference_status);
+const needsAttention = m => ATTENTION.includes(m.reference_status);
+const isOffOptimal = m => isClassified(m) && m.reference_status !== "optimal";
+const getSignal = m => m.importance * (m.fidelity || 1);
+const getEffectiveStatus = m => m.reference_status === "outside_range" && m.favourable ? "optimal" : m.reference_status;
+
+/**
+ * Rules in the order they are shown. Each `test` gets
+ * { metrics, observables, weightedScore }, where metrics carry their
+ * observable's `importance` and `observable_id`, and returns null or
+ * { reason, metrics?, observables? }.
+ */
+export const SYSTEM_STATE_RULES = [
+  {
+    id: "strong_signal_concerning",
+    state: "strained",
+    test: ({ metrics }) => {
+      const hits = metrics.filter(m => needsAttention(m) && getSignal(m) >= STRONG_SIGNAL);
+      if (hits.length === 0) return null;
+      return { metrics: hits, reason: `${listNames(hits)} outside expected ranges on ${hits.length === 1 ? "a strong signal" : "strong signals"} (important observable, high fidelity)` };
+    }
+  },
+  {
+    id: "concerning_across_observables",
+    state: "strained",
+    test: ({ metrics }) => {
+      const hits = metrics.filter(needsAttention);
+      const observables = new Set(hits.map(m => m.observable_id));
+      if (observables.size < 2) return null;
+      return { metrics: hits, reason: `Values outside expected ranges in ${observables.size} observables` };
+    }
+  },
+  {
+    id: "high_weighted_deviation",
+    state: "strained",
+    test: ({ metrics, weightedScore }) => {
+      if (weightedScore === null || weightedScore < STRAINED_DEVIATION || !metrics.some(needsAttention)) return null;
+      return { reason: `Weighted distance from optimal is ${formatScore(weightedScore)} with values outside expected ranges (strained from ${STRAINED_DEVIATION})` };
+    }
+  },
+  {
+    id: "weak_signal_concerning",
+    state: "compensating",
+    test: ({ metrics }) => {
+      const hits = metrics.filter(m => needsAttention(m) && getSignal(m) < STRONG_SIGNAL);
+      if (hits.length === 0) return null;
+      return { metrics: hits, reason: `${listNames(hits)} outside expected ranges on ${hits.length === 1 ? "a weaker signal" : "weaker signals"}` };
+    }
+  },
+  {
+    id: "moderate_weighted_deviation",
+    state: "compensating",
+    test: ({ metrics, weightedScore }) => {
+      if (weightedScore === null || weightedScore < COMPENSATING_DEVIATION || !metrics.some(isOffOptimal)) return null;
+      return { reason: `Weighted distance from optimal is ${formatScore(weightedScore)} (compensating from ${COMPENSATING_DEVIATION})` };
+    }
+  },
+  {
+    id: "strong_signals_off_optimal",
+    state: "compensating",
+    test: ({ metrics }) => {
+      const hits = metrics.filter(m => m.reference_status === "acceptable" && getSignal(m) >= STRONG_SIGNAL);
+      if (hits.length < 2) return null;
+      return { metrics: hits, reason: `${listNames(hits)} acceptable rather than optimal on strong signals` };
+    }
+  },
+  {
+    id: "core_optimal",
+    state: "robust",
+    test: ({ metrics, observables, weightedScore }) => {
+      const core = observables.filter(o => o.importance >= CORE_IMPORTANCE);
+      const covered = core.every(o => o.metrics.some(m => isClassified(m) && m.fidelity >= MIN_FIDELITY));
+      const offOptimal = metrics.some(m => isOffOptimal(m) && m.fidelity >= MIN_FIDELITY);
+      if (core.length === 0 || !covered || offOptimal || weightedScore > ROBUST_DEVIATION) return null;
+      return { observables: core, reason: `All ${core.length} core observable${core.length === 1 ? "" : "s"} measured and optimal` };
+    }
+  }
+];
+
+/**
+ * Classify a system from its observable states
+ * Returns { state, trace }; state is null when no value has a reference
+ * range yet. `weightedScore` is the system's importance- and
+ * fidelity-weighted mean position score.
+ */
+export function classifySystemState(observables, weightedScore) {
+  const metrics = observables.flatMap(o => o.metrics.map(m => ({
+    ...m,
+    reference_status: getEffectiveStatus(m),
+    importance: o.importance,
+    observable_id: o.observable_id
+  })));
+
+  if (!metrics.some(isClassified)) {
+    return {
+      state: null,
+      trace: [{ rule: "no_data", state: null, reason: "No values with a reference range yet", metrics: [], observables: [], decisive: true }]
+    };
+  }
+
+  const context = { metrics, observables, weightedScore: weightedScore ?? null };
+  const fired = [];
+  for (const rule of SYSTEM_STATE_RULES) {
+    const match = rule.test(context);
+    if (match) fired.push({ rule: rule.id, state: rule.state, ...match });
+  }
+  if (fired.length === 0) {
+    fired.push({ rule: "within_expected", state: "stable", reason: "No signs of strain, but not every core signal is measured and optimal" });
+  }
+
+  const state = fired.reduce((worst, f) => SYSTEM_STATES[f.state].rank > SYSTEM_STATES[worst].rank ? f.state : worst, fired[0].state);
+  const trace = fired.map(f => ({
+    rule: f.rule,
+    state: f.state,
+    reason: f.reason,
+    metrics: (f.metrics || []).map(m => m.metric_id),
+    observables: (f.observables || []).map(o => o.observable_id),
+    decisive: f.state === state
+  }));
+
+  return { state, trace };
+}
+
+/**
+ * The reasons behind a system's state, decisive rules only
+ */
+export function getStateReasons(systemState) {
+  return (systemState.state_trace || []).filter(t => t.decisive).map(t => t.reason);
+}
+
+const NAME_LIMIT = 3;
+
+function listNames(metrics) {
+  const names = metrics.map(m => m.metric_name);
+  if (names.length <= NAME_LIMIT) return names.join(", ");
+  return `${names.slice(0, NAME_LIMIT).join(", ")} and ${names.length - NAME_LIMIT} more`;
+}
+
+function formatScore(score) {
+  return score.toFixed(2);
+}
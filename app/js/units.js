@@ -0,0 +1,154 @@
+/**
+ * Units
+ *
+ * Unit registry for analytes that labs report in more than one convention
+ * (US conventional vs SI). Each analyte has a canonical unit — the unit its
+ * metrics are defined in and REFERENCE_RANGES is written in — plus conversion
+ * factors for the alternatives:
+ *
+ *   canonical = value × factor + offset
+ *
+ * Metrics opt in through `analyte` in the schema. Classification always runs
+ * on the canonical value; the value as entered is kept alongside it.
+ */
+
+export const UNIT_REGISTRY = {
+  glucose: {
+    canonical: "mg/dL",
+    units: {
+      "mg/dL": { factor: 1 },
+      "mmol/L": { factor: 18.016 }
+    }
+  },
+
+  cholesterol: {
+    canonical: "mg/dL",
+    units: {
+      "mg/dL": { factor: 1 },
+      "mmol/L": { factor: 38.67 }
+    }
+  },
+
+  triglycerides: {
+    canonical: "mg/dL",
+    units: {
+      "mg/dL": { factor: 1 },
+      "mmol/L": { factor: 88.57 }
+    }
+  },
+
+  apob: {
+    canonical: "mg/dL",
+    units: {
+      "mg/dL": { factor: 1 },
+      "g/L": { factor: 100 }
+    }
+  },
+
+  // IFCC (mmol/mol) → NGSP (%) master equation
+  hba1c: {
+    canonical: "%",
+    units: {
+      "%": { factor: 1 },
+      "mmol/mol": { factor: 0.09148, offset: 2.152 }
+    }
+  },
+
+  crp: {
+    canonical: "mg/L",
+    units: {
+      "mg/L": { factor: 1 },
+      "mg/dL": { factor: 10 }
+    }
+  },
+
+  tsh: {
+    canonical: "mIU/L",
+    units: {
+      "mIU/L": { factor: 1 },
+      "µIU/mL": { factor: 1 }
+    }
+  },
+
+  free_t4: {
+    canonical: "pmol/L",
+    units: {
+      "pmol/L": { factor: 1 },
+      "ng/dL": { factor: 12.871 }
+    }
+  },
+
+  testosterone: {
+    canonical: "ng/dL",
+    units: {
+      "ng/dL": { factor: 1 },
+      "nmol/L": { factor: 28.842 }
+    }
+  },
+
+  temperature: {
+    canonical: "°C",
+    units: {
+      "°C": { factor: 1 },
+      "°F": { factor: 5 / 9, offset: -32 * 5 / 9 }
+    }
+  },
+
+  length: {
+    canonical: "cm",
+    units: {
+      "cm": { factor: 1 },
+      "in": { factor: 2.54 }
+    }
+  },
+
+  mass: {
+    canonical: "kg",
+    units: {
+      "kg": { factor: 1 },
+      "lb": { factor: 0.45359237 }
+    }
+  }
+};
+
+/**
+ * Get the units an analyte can be entered in (canonical first)
+ */
+export function getAnalyteUnits(analyte) {
+  const entry = UNIT_REGISTRY[analyte];
+  if (!entry) return [];
+  return [entry.canonical, ...Object.keys(entry.units).filter(u => u !== entry.canonical)];
+}
+
+/**
+ * Get the canonical unit for an analyte
+ */
+export function getCanonicalUnit(analyte) {
+  return UNIT_REGISTRY[analyte]?.canonical || null;
+}
+
+/**
+ * Convert a value in `unit` to the analyte's canonical unit
+ * Returns null if the unit isn't known for the analyte
+ */
+export function toCanonical(analyte, value, unit) {
+  const entry = UNIT_REGISTRY[analyte];
+  if (!entry || !unit || unit === entry.canonical) return value;
+
+  const conversion = entry.units[unit];
+  if (!conversion) return null;
+  return value * conversion.factor + (conversion.offset || 0);
+}
+
+/**
+ * Convert a canonical value to `unit`
+ * Returns null if the unit isn't known for the analyte
+ */
+export function fromCanonical(analyte, value, unit) {
+  const entry = UNIT_REGISTRY[analyte];
+  if (!entry || !unit || unit === entry.canonical) return value;
+
+  const conversion = entry.units[unit];
+  if (!conversion) return null;
+  return (value - (conversion.offset || 0)) / conversion.factor;
+}
@@ -0,0 +1,401 @@
+/**
+ * Evaluation Validation
+ *
+ * Checks an evaluation (after migration) against the schema before it is
+ * accepted on import. Returns structured issues:
+ *
+ *   { errors: Issue[], warnings: Issue[] }
+ *   Issue = { path, message }
+ *
+ * Errors mean the data can't be used as-is (wrong value type, unknown
+ * metric); warnings are worth a look but don't block (missing age, a
+ * measurement dated in the future).
+ */
+
+import { BASELINES, PHYSIOLOGICAL_STATES, getAllMetrics, getMetricById, getMetricType, getMetricOptions } from './schema.js';
+import { getAnalyteUnits, toCanonical } from './units.js';
+import { acceptsRawEntry } from './baselines.js';
+import { REFERENCE_SETS, REFERENCE_RANGES, RANGE_SEXES, getRangeTable, getExtensionSet, getClinicOverrides, parseAgeBand, checkRangeBand } from './references.js';
+
+const VALID_SEXES = [...RANGE_SEXES, 'unspecified'];
+const MIN_AGE = 0;
+const MAX_AGE = 120;
+
+/**
+ * Validate an evaluation
+ */
+export function validateEvaluation(evaluation) {
+  const errors = [];
+  const warnings = [];
+  const error = (path, message) => errors.push({ path, message });
+  const warning = (path, message) => warnings.push({ path, message });
+
+  if (!evaluation.id) {
+    error('id', 'Evaluation has no id');
+  }
+
+  // Person
+  const age = evaluation.person_age;
+  if (age === null || age === undefined || age === '') {
+    warning('person_age', 'Age is missing; reference ranges need it');
+  } else if (typeof age !== 'number' || !Number.isFinite(age)) {
+    error('person_age', `Age must be a number, got ${JSON.stringify(age)}`);
+  } else if (age < MIN_AGE || age > MAX_AGE) {
+    error('person_age', `Implausible age: ${age}`);
+  }
+
+  const sex = evaluation.person_sex;
+  if (sex === null || sex === undefined || sex === '') {
+    warning('person_sex', 'Sex is missing; sex-specific metrics will be compared with both ranges');
+  } else if (!VALID_SEXES.includes(sex)) {
+    error('person_sex', `Unknown sex "${sex}" (expected ${VALID_SEXES.join(', ')})`);
+  }
+
+  checkDate(evaluation.created_at, 'created_at', error, warning);
+
+  if (evaluation.reference_set && !REFERENCE_SETS[evaluation.reference_set]) {
+    warning('reference_set', `Unknown reference set "${evaluation.reference_set}"; the default set will be used`);
+  }
+
+  for (const [state, option] of Object.entries(evaluation.physiological_state || {})) {
+    const path = `physiological_state.${state}`;
+    const definition = PHYSIOLOGICAL_STATES[state];
+    if (!definition) {
+      warning(path, `Unknown physiological state "${state}"; it will be ignored`);
+    } else if (!definition.options[option]) {
+      error(path, `${definition.label} can't be ${JSON.stringify(option)} (expected ${Object.keys(definition.options).join(', ')})`);
+    } else if (sex === 'male') {
+      warning(path, `${definition.label} is recorded for a male; only female ranges are adjusted for it`);
+    }
+  }
+  
+  for (const [baselineId, baseline] of Object.entries(evaluation.baselines || {})) {
+    const path = `baselines.${baselineId}`;
+    if (!BASELINES[baselineId]) {
+      warning(path, `Unknown baseline "${baselineId}"; it will be ignored`);
+    } else if (typeof baseline?.value !== 'number' || !Number.isFinite(baseline.value)) {
+      error(`${path}.value`, `Baseline needs a number, got ${JSON.stringify(baseline?.value)}`);
+    }
+  }
+
+  // Measurements
+  for (const [metricId, measurement] of Object.entries(evaluation.measurements || {})) {
+    const path = `measurements.${metricId}`;
+    const metric = getMetricById(metricId);
+
+    if (!metric) {
+      error(path, `Unknown metric_id "${metricId}"`);
+      continue;
+    }
+    if (!measurement || typeof measurement !== 'object') {
+      error(path, 'Measurement is not an object');
+      continue;
+    }
+    if (measurement.metric_id && measurement.metric_id !== metricId) {
+      warning(`${path}.metric_id`, `metric_id "${measurement.metric_id}" doesn't match its key`);
+    }
+
+    const readings = Array.isArray(measurement.readings) ? measurement.readings : [measurement];
+    readings.forEach((reading, i) => {
+      const readingPath = Array.isArray(measurement.readings) ? `${path}.readings[${i}]` : path;
+      const problem = checkValueType(metric, reading?.value);
+      if (problem) error(`${readingPath}.value`, problem);
+      
+      const canonical = metric.analyte ? toCanonical(metric.analyte, reading?.value, measurement.unit) : reading?.value;
+      const implausible = problem ? null : checkPlausibility(metric, canonical, { enteredAs: measurement.entered_as });
+      if (implausible?.level === 'hard') {
+        error(`${readingPath}.value`, implausible.message);
+      } else if (implausible && !isOverridden(measurement, canonical)) {
+        warning(`${readingPath}.value`, `${implausible.message}; no reason recorded for keeping it`);
+      }
+      if (reading?.measured_at) checkDate(reading.measured_at, `${readingPath}.measured_at`, error, warning);
+    });
+
+    if (measurement.unit && metric.analyte && !getAnalyteUnits(metric.analyte).includes(measurement.unit)) {
+      error(`${path}.unit`, `Unit "${measurement.unit}" can't be used for ${metric.metric_name}`);
+    } else if (measurement.unit && !metric.analyte && metric.unit && measurement.unit !== metric.unit) {
+      error(`${path}.unit`, `${metric.metric_name} is recorded in ${metric.unit}, not "${measurement.unit}"`);
+    }
+
+    if (measurement.entered_as && (measurement.entered_as !== 'raw' || !acceptsRawEntry(metric))) {
+      error(`${path}.entered_as`, `${metric.metric_name} can't be entered as "${measurement.entered_as}"`);
+    }
+
+    if (measurement.context && !(metric.contexts || []).includes(measurement.context)) {
+      warning(`${path}.context`, `Context "${measurement.context}" isn't used for ${metric.metric_name}; the default range will apply`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate a clinic range override layer (metric → sex → age band → band)
+ * Bands for metrics, sexes or ages the default tables don't list are
+ * allowed but flagged, since they only apply where nothing narrower does.
+ */
+export function validateClinicRanges(ranges) {
+  const errors = [];
+  const warnings = [];
+  const error = (path, message, kind) => errors.push({ path, kind, message });
+  const warning = (path, message, kind) => warnings.push({ path, kind, message });
+
+  for (const [metricId, table] of Object.entries(ranges)) {
+    const defaults = getRangeTable(metricId);
+    if (!defaults) {
+      error(metricId, `No reference ranges to override for "${metricId}"`, 'unknown');
+      continue;
+    }
+    if (defaults.direction === 'categorical') {
+      error(metricId, `${metricId} is categorical; only numeric ranges can be overridden`, 'unknown');
+      continue;
+    }
+
+    checkRangeTable(metricId, table || {}, defaults, error, warning);
+    for (const [sex, bands] of Object.entries(table || {})) {
+      for (const key of Object.keys(bands || {})) {
+        if (parseAgeBand(key) && !defaults[sex]?.[key]) {
+          warning(`${metricId}.${sex}.${key}`, 'Band is not in the default ranges; it adds a new band', 'new_band');
+        }
+      }
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// ============================================
+// Plausibility
+// ============================================
+
+/**
+ * Plausibility limits for what is typed into a metric
+ * A baseline metric entered as the raw value is checked against the
+ * limits of the metric its baseline comes from (resting HR for RHR
+ * elevation), since the change's limits don't fit a raw value.
+ */
+export function getPlausibilityLimits(metric, enteredAs = null) {
+  if (enteredAs === 'raw' && acceptsRawEntry(metric)) {
+    const source = getMetricById(BASELINES[metric.baseline.id]?.history_metric);
+    return source?.plausibility ?? null;
+  }
+  return metric?.plausibility ?? null;
+}
+
+/**
+ * Check a value (in the metric's canonical unit) against its limits
+ * Returns { level: "hard"|"soft", message } or null when plausible.
+ * Hard limits block the value; one outside the soft limits is saved but
+ * stays unconfirmed until a reason is given.
+ */
+export function checkPlausibility(metric, value, { enteredAs = null } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  
+  const limits = getPlausibilityLimits(metric, enteredAs);
+  if (!limits) return null;
+  
+  const unit = enteredAs === 'raw' ? BASELINES[metric.baseline.id].unit : metric.unit;
+  for (const level of ['hard', 'soft']) {
+    const [min, max] = limits[level] || [null, null];
+    if ((min !== null && value < min) || (max !== null && value > max)) {
+      const bounds = `${formatLimits(min, max)} ${unit}`;
+      return {
+        level,
+        message: level === 'hard'
+          ? `${formatLimitValue(value)} isn't possible for ${metric.metric_name} (${bounds})`
+          : `${formatLimitValue(value)} is unusual for ${metric.metric_name} (expected ${bounds})`
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a value outside the soft limits was kept with a reason
+ */
+export function isOverridden(measurement, value) {
+  const override = measurement?.plausibility_override;
+  return Boolean(override?.reason) && (override.values || []).includes(value);
+}
+
+function formatLimits(min, max) {
+  if (max === null) return `at least ${min}`;
+  if (min === null) return `at most ${max}`;
+  return `${min} to ${max}`;
+}
+
+function formatLimitValue(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+// ============================================
+// Reference Table Consistency
+// ============================================
+
+const DIRECTIONS = ['lower_better', 'higher_better', 'in_range', 'neutral', 'categorical'];
+const BOUNDARIES = ['inclusive', 'exclusive'];
+const SEX_KEYS = [...RANGE_SEXES, 'any'];
+const MODIFIERS = Object.values(PHYSIOLOGICAL_STATES).flatMap(state => Object.keys(state.options));
+
+/**
+ * Check every reference table for consistency
+ * Covers each reference set (overlays only for what they override), the
+ * ranges of an installed schema extension, the context and modifier tables
+ * and the clinic override layer. Errors: bad direction or boundaries, age
+ * bands that don't parse or run backwards, and whatever checkRangeBand
+ * finds (gaps, overlaps, inverted bounds, tiers on the wrong side for the
+ * direction). Warnings: schema metrics with no range, tables for metrics
+ * the schema doesn't have, modifiers no physiological state selects, and
+ * ages no band covers.
+ * Issues are { path, kind, message }. Runs at startup and in
+ * tests/reference-tables.test.mjs.
+ */
+export function validateReferenceTables() {
+  const errors = [];
+  const warnings = [];
+  const error = (path, message, kind) => errors.push({ path, kind, message });
+  const warning = (path, message, kind) => warnings.push({ path, kind, message });
+
+  const sets = [...Object.values(REFERENCE_SETS), getExtensionSet()].filter(Boolean);
+  for (const set of sets) {
+    for (const [metricId, table] of Object.entries(set.ranges || set.overrides)) {
+      const merged = getRangeTable(metricId, set.id);
+      const path = `${set.id}.${metricId}`;
+
+      if (!DIRECTIONS.includes(merged.direction)) {
+        error(path, `Unknown direction "${merged.direction}"`, 'direction');
+      }
+      checkRangeTable(path, table, merged, error, warning);
+      for (const [context, contextTable] of Object.entries(table.contexts || {})) {
+        checkRangeTable(`${path}.contexts.${context}`, contextTable, merged, error, warning);
+      }
+      for (const [modifier, modifierTable] of Object.entries(table.modifiers || {})) {
+        if (!MODIFIERS.includes(modifier)) {
+          warning(`${path}.modifiers.${modifier}`, `Unknown modifier "${modifier}"; no physiological state selects it`, 'unknown');
+        }
+        checkRangeTable(`${path}.modifiers.${modifier}`, modifierTable, merged, error, warning);
+      }
+    }
+  }
+
+  for (const [metricId, table] of Object.entries(getClinicOverrides())) {
+    const defaults = getRangeTable(metricId);
+    if (defaults) checkRangeTable(`clinic.${metricId}`, table, defaults, error, warning);
+  }
+
+  // Schema and tables should cover the same metrics
+  const metrics = getAllMetrics();
+  for (const metric of metrics) {
+    if (!getRangeTable(metric.metric_id)) {
+      warning(metric.metric_id, `${metric.metric_name} has no reference range`, 'missing');
+    }
+  }
+  for (const metricId of Object.keys(REFERENCE_RANGES)) {
+    if (!metrics.some(m => m.metric_id === metricId)) {
+      warning(metricId, `Reference range for "${metricId}", which is not in the schema`, 'unknown');
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check one sex → age band table
+ * `metricTable` supplies the direction and metric-level boundaries.
+ */
+function checkRangeTable(path, table, metricTable, error, warning) {
+  const { direction } = metricTable;
+
+  if (table.boundaries !== undefined && !BOUNDARIES.includes(table.boundaries)) {
+    error(`${path}.boundaries`, `Boundaries must be ${BOUNDARIES.join(' or ')}, got "${table.boundaries}"`, 'boundaries');
+  }
+
+  for (const sex of Object.keys(table).filter(key => typeof table[key] === 'object' && key !== 'contexts' && key !== 'modifiers')) {
+    if (!SEX_KEYS.includes(sex)) {
+      error(`${path}.${sex}`, `Unknown sex "${sex}"`, 'sex');
+      continue;
+    }
+
+    for (const [key, band] of Object.entries(table[sex] || {})) {
+      const bandPath = `${path}.${sex}.${key}`;
+      const ages = parseAgeBand(key);
+      if (!ages) {
+        error(bandPath, `"${key}" is not an age band`, 'age_band');
+        continue;
+      }
+      if (ages[0] > ages[1]) {
+        error(bandPath, `Age band "${key}" runs backwards`, 'inverted');
+      }
+      if (band?.categories) continue;
+
+      if (band?.boundaries !== undefined && !BOUNDARIES.includes(band.boundaries)) {
+        error(`${bandPath}.boundaries`, `Boundaries must be ${BOUNDARIES.join(' or ')}, got "${band.boundaries}"`, 'boundaries');
+      }
+      for (const { kind, message } of checkRangeBand(band || {}, direction)) {
+        error(bandPath, message, kind);
+      }
+    }
+  }
+
+  for (const sex of SEX_KEYS) {
+    const gap = findAgeGap(table, sex);
+    if (gap) warning(`${path}.${sex}`, `No band covers ages ${gap}`, 'age_gap');
+  }
+}
+
+/**
+ * First run of ages, from the youngest band up, that no band covers for a
+ * sex (its own bands plus "any"); null if coverage is continuous
+ */
+function findAgeGap(table, sex) {
+  if (!table[sex] || (sex === 'any' && (table.male || table.female))) return null;
+
+  const intervals = Object.keys({ ...table[sex], ...(sex === 'any' ? {} : table.any) })
+    .map(key => parseAgeBand(key))
+    .filter(ages => ages && ages[0] <= ages[1])
+    .sort((a, b) => a[0] - b[0]);
+  if (intervals.length === 0) return null;
+
+  let coveredTo = intervals[0][1];
+  for (const [min, max] of intervals.slice(1)) {
+    if (min > coveredTo + 1) return `${coveredTo + 1}–${min - 1}`;
+    coveredTo = Math.max(coveredTo, max);
+  }
+  return null;
+}
+
+/**
+ * Check a value against its metric's type; returns a message or null
+ */
+function checkValueType(metric, value) {
+  const type = getMetricType(metric);
+
+  if (type === 'numeric') {
+    return typeof value === 'number' && Number.isFinite(value)
+      ? null
+      : `${metric.metric_name} needs a number, got ${JSON.stringify(value)}`;
+  }
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${metric.metric_name} needs yes/no, got ${JSON.stringify(value)}`;
+  }
+
+  const options = getMetricOptions(metric).map(o => o.value);
+  return options.includes(value)
+    ? null
+    : `${metric.metric_name} must be one of ${options.map(o => JSON.stringify(o)).join(', ')}, got ${JSON.stringify(value)}`;
+}
+
+/**
+ * Dates must parse and shouldn't be in the future
+ */
+function checkDate(value, path, error, warning) {
+  if (value === null || value === undefined) return;
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    error(path, `Not a valid date: ${JSON.stringify(value)}`);
+  } else if (time > Date.now() + 24 * 60 * 60 * 1000) {
+    // A day of slack for time zones
+    warning(path, `Date is in the future: ${value}`);
+  }
+}
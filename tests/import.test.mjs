@@ -0,0 +1,36 @@
+/**
+ * Evaluation import (importEvaluationJSON)
+ *
+ * Values for metrics the schema doesn't define, e.g. from a clinic
+ * extension that isn't loaded, are kept aside with a notice; only
+ * malformed values block the import.
+ */
+
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvaluation, updatePerson, setMeasurement, exportEvaluationJSON, importEvaluationJSON } from '../app/js/state.js';
+
+function exportWith(measurements) {
+  const evaluation = setMeasurement(updatePerson(createEvaluation(), { age: 45, sex: 'male' }), 'hr_resting', 60);
+  const json = JSON.parse(exportEvaluationJSON(evaluation));
+  Object.assign((json.evaluation || json).measurements, measurements);
+  return JSON.stringify(json);
+}
+
+test('extension metric without the extension is kept aside with a notice', () => {
+  const { evaluation, errors, warnings } = importEvaluationJSON(exportWith({
+    body_fat_percent: { metric_id: 'body_fat_percent', value: 18, readings: [{ value: 18, measured_at: '2026-01-10' }] }
+  }));
+  assert.deepEqual(errors, []);
+  assert.ok(warnings.some(w => w.path === 'migration' && w.message.includes('"body_fat_percent"')));
+  assert.equal(evaluation.measurements.body_fat_percent, undefined);
+  assert.equal(evaluation.retired_measurements.body_fat_percent.value, 18);
+});
+
+test('malformed value blocks the import', () => {
+  const { errors } = importEvaluationJSON(exportWith({
+    ldl_c: { metric_id: 'ldl_c', value: 'high', readings: [{ value: 'high', measured_at: '2026-01-10' }] }
+  }));
+  assert.ok(errors.some(e => e.path.startsWith('measurements.ldl_c')));
+});
@@ -0,0 +1,27 @@
+/**
+ * Measurements (state.js)
+ *
+ * An override reason covers readings by their canonical value, so it must
+ * follow the readings when their unit changes.
+ */
+
+import './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvaluation, setReadings, setPlausibilityOverride, setMeasurementUnit } from '../app/js/state.js';
+
+function withOverride() {
+  let evaluation = setReadings(createEvaluation(), 'fasting_glucose', [30, 90], { unit: 'mg/dL' });
+  evaluation = setPlausibilityOverride(evaluation, 'fasting_glucose', 'hypoglycaemic episode', [30]);
+  return evaluation;
+}
+
+test('override is dropped when no overridden reading survives a unit change', () => {
+  const evaluation = setMeasurementUnit(withOverride(), 'fasting_glucose', 'mmol/L');
+  assert.equal(evaluation.measurements.fasting_glucose.plausibility_override, null);
+});
+
+test('override is kept when the unit stays the same', () => {
+  const evaluation = setMeasurementUnit(withOverride(), 'fasting_glucose', 'mg/dL');
+  assert.deepEqual(evaluation.measurements.fasting_glucose.plausibility_override.values, [30]);
+});
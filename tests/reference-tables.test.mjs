@@ -0,0 +1,61 @@
+/**
+ * Reference table consistency (validateReferenceTables)
+ *
+ * The bundled tables must pass; each kind of problem is then planted in a
+ * clinic override, or by dropping a table, to check it's reported.
+ */
+
+import './setup.mjs';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { REFERENCE_RANGES, setClinicOverrides } from '../app/js/references.js';
+import { validateReferenceTables } from '../app/js/validation.js';
+
+afterEach(() => setClinicOverrides({}));
+
+/** Issues about one table, from a clinic override of LDL-C (lower_better) */
+function checkLdlOverride(band) {
+  setClinicOverrides({ ldl_c: { any: { all: band } } });
+  const { errors } = validateReferenceTables();
+  return errors.filter(e => e.path.startsWith('clinic.ldl_c'));
+}
+
+test('bundled schema and reference tables have no errors', () => {
+  const { errors } = validateReferenceTables();
+  assert.deepEqual(errors, []);
+});
+
+test('a consistent override passes', () => {
+  assert.deepEqual(checkLdlOverride({ optimal: [30, 70], acceptable: [70, 100], concerning: [100, 250] }), []);
+});
+
+test('gap between tiers', () => {
+  const issues = checkLdlOverride({ optimal: [40, 100], acceptable: [110, 130], concerning: [130, 250] });
+  assert.deepEqual(issues.map(i => i.kind), ['gap']);
+});
+
+test('overlapping tiers', () => {
+  const issues = checkLdlOverride({ optimal: [40, 100], acceptable: [90, 130], concerning: [130, 250] });
+  assert.deepEqual(issues.map(i => i.kind), ['overlap']);
+});
+
+test('inverted bounds', () => {
+  const issues = checkLdlOverride({ optimal: [100, 40], acceptable: [100, 130], concerning: [130, 250] });
+  assert.deepEqual(issues.map(i => i.kind), ['inverted']);
+});
+
+test('tiers on the wrong side for the direction', () => {
+  const issues = checkLdlOverride({ optimal: [70, 100], acceptable: [40, 70], concerning: [0, 40] });
+  assert.deepEqual(issues.map(i => i.kind), ['direction', 'direction']);
+});
+
+test('schema metric without a table', () => {
+  const table = REFERENCE_RANGES.ldl_c;
+  delete REFERENCE_RANGES.ldl_c;
+  try {
+    const { warnings } = validateReferenceTables();
+    assert.ok(warnings.some(w => w.path === 'ldl_c' && w.kind === 'missing'));
+  } finally {
+    REFERENCE_RANGES.ldl_c = table;
+  }
+});
@@ -0,0 +1,113 @@
+/**
+ * Report rules (app/report_rules.json)
+ *
+ * Every bundled rule has a case: values for a 45-year-old man that should
+ * fire it, and values that shouldn't. Each builds a HealthState and checks
+ * whether evaluateReportRules gives an output for the rule.
+ */
+
+import { getOptimalValues } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEvaluation, updatePerson, setMeasurement, buildHealthState } from '../app/js/state.js';
+import { getReportRules, evaluateReportRules } from '../app/js/report.js';
+
+const AGE = 45;
+const SEX = 'male';
+
+const CARDIOVASCULAR_CONCERNS = { bp_resting_systolic: 165, hr_resting: 95 };
+const METABOLIC_CONCERNS = { hba1c: 7.2, fasting_glucose: 140 };
+const SLEEP_DEBT = { sleep_duration: 4, sleep_efficiency: 60 };
+const STRONG_MUSCULOSKELETAL = { grip_strength: 50, sit_to_stand_30s: 20, single_leg_stance_eyes_open: 45, single_leg_stance_eyes_closed: 25 };
+
+/**
+ * Values each rule should and shouldn't fire on; `optimal` starts from an
+ * optimal value for every metric with a range
+ */
+const CASES = {
+  multiple_off_optimal: {
+    fires: { ...CARDIOVASCULAR_CONCERNS },
+    quiet: { bp_resting_systolic: 165, hba1c: 7.2 }
+  },
+  cv_metabolic_concerns: {
+    fires: { ...CARDIOVASCULAR_CONCERNS, ...METABOLIC_CONCERNS },
+    quiet: { ...CARDIOVASCULAR_CONCERNS }
+  },
+  inflammation_with_cv_metabolic: {
+    fires: { hs_crp: 12, hba1c: 7.2 },
+    quiet: { hs_crp: 12 }
+  },
+  sleep_and_recovery_debt: {
+    fires: { ...SLEEP_DEBT, rhr_trend: 8 },
+    quiet: { ...SLEEP_DEBT }
+  },
+  strength_and_balance_strong: {
+    fires: { ...STRONG_MUSCULOSKELETAL },
+    quiet: { ...STRONG_MUSCULOSKELETAL, grip_strength: 15 }
+  },
+  cv_metabolic_interaction: {
+    fires: { ...CARDIOVASCULAR_CONCERNS, ...METABOLIC_CONCERNS },
+    quiet: { ...METABOLIC_CONCERNS }
+  },
+  inflammation_interaction: {
+    fires: { hs_crp: 12, bp_resting_systolic: 165 },
+    quiet: { bp_resting_systolic: 165 }
+  },
+  neural_load_interaction: {
+    fires: { reaction_time_mean: 600 },
+    quiet: { ...CARDIOVASCULAR_CONCERNS }
+  },
+  hormonal_structural_interaction: {
+    fires: { tsh: 12, grip_strength: 15 },
+    quiet: { tsh: 12 }
+  },
+  review_concerns: {
+    fires: { bp_resting_systolic: 165 },
+    quiet: { bp_resting_systolic: 112 }
+  },
+  observe_more: {
+    fires: { bp_resting_systolic: 112 },
+    quiet: { optimal: true }
+  },
+  cardiovascular_habits: {
+    fires: { bp_resting_systolic: 165 },
+    quiet: { ...METABOLIC_CONCERNS }
+  },
+  metabolic_habits: {
+    fires: { hba1c: 7.2 },
+    quiet: { ...CARDIOVASCULAR_CONCERNS }
+  },
+  crp_acute_response: {
+    fires: { hs_crp: 12 },
+    quiet: { hs_crp: 4 }
+  },
+  stability: {
+    fires: { optimal: true },
+    quiet: { optimal: true, bp_resting_systolic: 165 }
+  }
+};
+
+function buildState({ optimal = false, ...values }) {
+  let evaluation = updatePerson(createEvaluation(), { age: AGE, sex: SEX });
+  for (const [metricId, value] of Object.entries({ ...(optimal ? getOptimalValues(AGE, SEX) : {}), ...values })) {
+    evaluation = setMeasurement(evaluation, metricId, value);
+  }
+  return buildHealthState(evaluation);
+}
+
+function fires(rule, values) {
+  return evaluateReportRules(buildState(values), rule.kind).some(output => output.rule === rule.id);
+}
+
+test('every bundled rule has a case', () => {
+  assert.deepEqual(getReportRules().map(rule => rule.id).sort(), Object.keys(CASES).sort());
+});
+
+for (const rule of getReportRules()) {
+  test(`${rule.id} (${rule.kind})`, () => {
+    const { fires: firing, quiet } = CASES[rule.id] ?? {};
+    assert.ok(firing && quiet, `No case for rule "${rule.id}"`);
+    assert.equal(fires(rule, firing), true, 'should fire');
+    assert.equal(fires(rule, quiet), false, 'should not fire');
+  });
+}
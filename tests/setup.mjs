@@ -0,0 +1,43 @@
+/**
+ * Test Setup
+ *
+ * Installs the bundled schema and report rules the way app.js does at
+ * startup, reading the JSON from disk instead of fetching it. Import this
+ * before the modules under test.
+ */
+
+import { readFileSync } from 'node:fs';
+import { installSchema, getAllMetrics, getMetricType } from '../app/js/schema.js';
+import { getReferenceRange } from '../app/js/references.js';
+import { installReportRules } from '../app/js/report.js';
+
+export function readAppJSON(path) {
+  return JSON.parse(readFileSync(new URL(`../app/${path}`, import.meta.url), 'utf8'));
+}
+
+const schema = installSchema(readAppJSON('health_schema.json'));
+if (schema.errors.length > 0) {
+  throw new Error(`Bundled schema has errors: ${schema.errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+}
+
+const [rules] = installReportRules([readAppJSON('report_rules.json')]);
+if (rules.errors.length > 0) {
+  throw new Error(`Bundled report rules have errors: ${rules.errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+}
+
+/**
+ * A value in the optimal range for each metric that has one
+ */
+export function getOptimalValues(age, sex) {
+  const values = {};
+  for (const metric of getAllMetrics()) {
+    const range = getReferenceRange(metric.metric_id, age, sex);
+    if (range?.categories) {
+      const key = Object.keys(range.categories).find(k => range.categories[k] === 'optimal');
+      if (key !== undefined) values[metric.metric_id] = getMetricType(metric) === 'boolean' ? key === 'true' : key;
+    } else if (range?.optimal) {
+      values[metric.metric_id] = (range.optimal[0] + range.optimal[1]) / 2;
+    }
+  }
+  return values;
+}
@@ -0,0 +1,41 @@
+/**
+ * System states (system-states.js)
+ *
+ * Values better than optimal, past the optimal range on the favourable
+ * side, must neither score as distance from optimal nor count as strain.
+ */
+
+import { getOptimalValues } from './setup.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRangePosition } from '../app/js/references.js';
+import { createEvaluation, updatePerson, setMeasurement, buildHealthState } from '../app/js/state.js';
+
+const AGE = 45;
+const SEX = 'male';
+
+function buildSystem(branchId, values) {
+  let evaluation = updatePerson(createEvaluation(), { age: AGE, sex: SEX });
+  for (const [metricId, value] of Object.entries(values)) {
+    evaluation = setMeasurement(evaluation, metricId, value);
+  }
+  return buildHealthState(evaluation).systems.find(system => system.branch_id === branchId);
+}
+
+test('values past the optimal range on the favourable side score 0', () => {
+  assert.equal(getRangePosition('ldl_c', 20, AGE, SEX), 0);
+  assert.equal(getRangePosition('hdl_c', 120, AGE, SEX), 0);
+  assert.equal(getRangePosition('grip_strength', 80, AGE, SEX), 0);
+  assert.equal(getRangePosition('ldl_c', 250, AGE, SEX), 1);
+});
+
+test('better-than-optimal strength keeps an optimal structural system robust', () => {
+  const system = buildSystem('structural_musculoskeletal', { ...getOptimalValues(AGE, SEX), grip_strength: 80, sit_to_stand_30s: 30 });
+  assert.equal(system.summary.score_mean > 0.2, false, `score_mean ${system.summary.score_mean}`);
+  assert.equal(system.state, 'robust');
+});
+
+test('low heart rate and LDL-C do not strain the cardiovascular system', () => {
+  const system = buildSystem('cardiovascular_circulatory', { bp_resting_systolic: 112, bp_resting_diastolic: 72, hr_resting: 40, ldl_c: 30 });
+  assert.equal(system.state, 'stable');
+});